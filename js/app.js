@@ -8,9 +8,21 @@ class CapTableApp {
         this.capTableData = null;
         this.returnsData = null;
         this.fundingRoundCount = 0;
+        this.investorCounts = {};
+        this.secondaryCounts = {};
+        this.trancheCounts = {};
+        this.founderCount = 0;
+        this.optionGrantCount = 0;
+        this.shareEventCount = 0;
+        this.warrantCount = 0;
+        this.exitOutcomeCount = 0;
+        this.simulationData = null;
+        this.dilutionData = null;
+        this.goalSeekResult = null;
         this.charts = {
             ownership: null,
-            valuation: null
+            valuation: null,
+            exitSweep: null
         };
         
         this.init();
@@ -54,7 +66,7 @@ class CapTableApp {
         UIUtils.initializeTooltips();
         
         // Setup number formatting for main form fields
-        const numberFields = ['founderShares', 'exitValuation'];
+        const numberFields = ['founderShares', 'exitValuation', 'exitRevenue'];
         numberFields.forEach(fieldId => {
             const element = document.getElementById(fieldId);
             if (element) {
@@ -62,10 +74,75 @@ class CapTableApp {
             }
         });
         
+        // Fill the sensitivity variable and metric choices
+        this.initializeSensitivityControls();
+        
+        // Fill the goal seek target and input choices
+        DOMUtils.getElement('goalSeekTarget').innerHTML = CONFIG.GOAL_SEEK.TARGETS.map(option => 
+            `<option value="${option.value}">${option.label}</option>`
+        ).join('');
+        DOMUtils.getElement('goalSeekInput').innerHTML = CONFIG.GOAL_SEEK.INPUTS.map(option => 
+            `<option value="${option.value}">${option.label}</option>`
+        ).join('');
+        
+        // Fill the required exit return metrics
+        DOMUtils.getElement('requiredExitMetric').innerHTML = CONFIG.REQUIRED_EXIT.METRICS.map(option => 
+            `<option value="${option.value}">${option.label}</option>`
+        ).join('');
+        this.resetRequiredExitTarget();
+        
         // Clear results panels initially
         this.clearResultsPanels();
     }
 
+    /**
+     * Fill the sensitivity controls from the configured variables and metrics
+     */
+    initializeSensitivityControls() {
+        const variableOptions = selected => CONFIG.SENSITIVITY.VARIABLES.map(option => 
+            `<option value="${option.value}" ${option.value === selected ? 'selected' : ''}>${option.label}</option>`
+        ).join('');
+        
+        DOMUtils.getElement('sensitivityRowVariable').innerHTML = variableOptions(CONFIG.SENSITIVITY.DEFAULT_ROW_VARIABLE);
+        DOMUtils.getElement('sensitivityColumnVariable').innerHTML =
+            '<option value="none">Nothing (scenario table)</option>' + variableOptions(null);
+        DOMUtils.getElement('sensitivityMetric').innerHTML = CONFIG.SENSITIVITY.METRICS.map(option => 
+            `<option value="${option.value}">${option.label}</option>`
+        ).join('');
+        
+        this.resetSensitivitySteps('sensitivityRowVariable', 'sensitivityRowSteps');
+        this.resetSensitivitySteps('sensitivityColumnVariable', 'sensitivityColumnSteps');
+    }
+
+    /**
+     * Put a variable's default steps into its steps field
+     */
+    resetSensitivitySteps(variableId, stepsId) {
+        const option = CONFIG.SENSITIVITY.VARIABLES.find(candidate => candidate.value === DOMUtils.getValue(variableId));
+        DOMUtils.setValue(stepsId, option ? CONFIG.SENSITIVITY.STEPS[option.unit].join(', ') : '');
+    }
+
+    /**
+     * Put the chosen return metric's default target into the required exit target field
+     */
+    resetRequiredExitTarget() {
+        const option = CONFIG.REQUIRED_EXIT.METRICS.find(candidate => candidate.value === DOMUtils.getValue('requiredExitMetric'));
+        DOMUtils.setValue('requiredExitTarget', option ? option.defaultTarget : '');
+    }
+
+    /**
+     * Read the steps typed for a sensitivity variable, or null to use the defaults
+     */
+    collectSensitivitySteps(stepsId) {
+        const steps = DOMUtils.getValue(stepsId)
+            .split(',')
+            .map(step => parseFloat(step.trim()))
+            .filter(step => !isNaN(step));
+        const uniqueSteps = [...new Set(steps)].sort((a, b) => a - b).slice(0, CONFIG.SENSITIVITY.MAX_STEPS);
+        
+        return uniqueSteps.length > 0 ? uniqueSteps : null;
+    }
+
     /**
      * Set up event listeners
      */
@@ -77,9 +154,60 @@ class CapTableApp {
         window.loadTemplate = this.loadTemplate.bind(this);
         window.addFundingRound = this.addFundingRound.bind(this);
         window.removeFundingRound = this.removeFundingRound.bind(this);
+        window.addInvestor = this.addInvestor.bind(this);
+        window.removeInvestor = this.removeInvestor.bind(this);
+        window.addSecondary = this.addSecondary.bind(this);
+        window.removeSecondary = this.removeSecondary.bind(this);
+        window.addTranche = this.addTranche.bind(this);
+        window.removeTranche = this.removeTranche.bind(this);
+        window.addFounder = this.addFounder.bind(this);
+        window.removeFounder = this.removeFounder.bind(this);
+        window.addOptionGrant = this.addOptionGrant.bind(this);
+        window.removeOptionGrant = this.removeOptionGrant.bind(this);
+        window.addWarrant = this.addWarrant.bind(this);
+        window.removeWarrant = this.removeWarrant.bind(this);
+        window.addShareEvent = this.addShareEvent.bind(this);
+        window.removeShareEvent = this.removeShareEvent.bind(this);
+        window.addExitOutcome = this.addExitOutcome.bind(this);
+        window.removeExitOutcome = this.removeExitOutcome.bind(this);
         window.calculateCapTable = this.calculateCapTable.bind(this);
+        window.solveGoalSeek = this.solveGoalSeek.bind(this);
+        window.applyGoalSeek = this.applyGoalSeek.bind(this);
         window.exportToCSV = this.exportToCSV.bind(this);
         window.clearAll = this.clearAll.bind(this);
+        
+        DOMUtils.addEventListenerSafe('exitDistribution', 'change', () => this.updateExitDistributionTerms());
+        
+        // Rerun the sensitivity analysis when its controls change
+        const refreshSensitivity = () => {
+            if (this.returnsData) this.updateSensitivityAnalysis();
+        };
+        DOMUtils.addEventListenerSafe('sensitivityRowVariable', 'change', () => {
+            this.resetSensitivitySteps('sensitivityRowVariable', 'sensitivityRowSteps');
+            refreshSensitivity();
+        });
+        DOMUtils.addEventListenerSafe('sensitivityColumnVariable', 'change', () => {
+            this.resetSensitivitySteps('sensitivityColumnVariable', 'sensitivityColumnSteps');
+            refreshSensitivity();
+        });
+        ['sensitivityRound', 'sensitivityMetric', 'sensitivityRowSteps', 'sensitivityColumnSteps'].forEach(fieldId => {
+            DOMUtils.addEventListenerSafe(fieldId, 'change', refreshSensitivity);
+        });
+        
+        // Rerun the required exit search when its controls change
+        const refreshRequiredExit = () => {
+            if (this.returnsData) this.updateRequiredExit();
+        };
+        DOMUtils.addEventListenerSafe('requiredExitMetric', 'change', () => {
+            this.resetRequiredExitTarget();
+            refreshRequiredExit();
+        });
+        ['requiredExitRound', 'requiredExitTarget', 'requiredExitYear'].forEach(fieldId => {
+            DOMUtils.addEventListenerSafe(fieldId, 'change', refreshRequiredExit);
+        });
+        DOMUtils.addEventListenerSafe('exitValuationMethod', 'change', () => this.updateExitValuation());
+        DOMUtils.addEventListenerSafe('exitRevenue', 'input', () => this.updateExitValuation());
+        DOMUtils.addEventListenerSafe('exitMultiple', 'input', () => this.updateExitValuation());
     }
 
     /**
@@ -90,7 +218,10 @@ class CapTableApp {
         
         const autoSaveFields = [
             'currency', 'companyName', 'founderShares', 'optionPool', 
-            'optionPoolTopUp', 'useRevenueMultiples', 'exitYear', 'exitValuation', 'exitMultiple'
+            'optionPoolTopUp', 'useRevenueMultiples', 'exitYear', 'exitMonth', 'escrowPercent', 'escrowMonths',
+            'exitValuation', 'exitMultiple',
+            'exitRevenue', 'exitValuationMethod', 'terminatedAtExit', 'exitDistribution', 'simulationTrials', 'simulationSeed',
+            'exitVolatility', 'exitYearMin', 'exitYearMax'
         ];
         
         autoSaveFields.forEach(fieldId => {
@@ -111,6 +242,10 @@ class CapTableApp {
 
             // Clear existing data
             this.clearFundingRounds();
+            this.clearFounders();
+            this.clearOptionGrants();
+            this.clearWarrants();
+            this.clearShareEvents();
             
             // Load template data with current year adjustments
             const currentYear = DateUtils.getCurrentYear();
@@ -120,6 +255,9 @@ class CapTableApp {
             DOMUtils.setValue('optionPool', template.optionPool);
             DOMUtils.setValue('exitYear', currentYear + template.exitYearOffset);
             DOMUtils.setValue('exitValuation', NumberUtils.formatWithCommas(template.exitValuation));
+            DOMUtils.setValue('exitRevenue', NumberUtils.formatWithCommas(template.exitRevenue));
+            DOMUtils.setValue('exitMultiple', template.exitValuation / template.exitRevenue);
+            this.updateExitValuation();
 
             // Load funding rounds
             template.rounds.forEach(roundData => {
@@ -181,25 +319,58 @@ class CapTableApp {
             `<option value="${type}">${type}</option>`
         ).join('');
         
-        const liquidationPrefs = CONFIG.LIQUIDATION_PREFERENCES.map(pref => 
-            `<option value="${pref.value}">${pref.label}</option>`
+        const seniorityOptions = CONFIG.SENIORITY_OPTIONS.map(option => 
+            `<option value="${option.value}">${option.label}</option>`
+        ).join('');
+        
+        const dividendCompoundings = CONFIG.DIVIDEND_COMPOUNDINGS.map(option => 
+            `<option value="${option.value}">${option.label}</option>`
+        ).join('');
+        
+        const dividendPayments = CONFIG.DIVIDEND_PAYMENTS.map(option => 
+            `<option value="${option.value}">${option.label}</option>`
         ).join('');
         
         const antiDilutionOptions = CONFIG.ANTI_DILUTION_OPTIONS.map(option => 
             `<option value="${option.value}">${option.label}</option>`
         ).join('');
+        
+        const safeTypes = CONFIG.SAFE_TYPES.map(option => 
+            `<option value="${option.value}">${option.label}</option>`
+        ).join('');
+        
+        const months = CONFIG.MONTHS.map((label, index) => 
+            `<option value="${index + 1}">${label}</option>`
+        ).join('');
+        
+        const poolTimings = CONFIG.OPTION_POOL_TIMINGS.map(option => 
+            `<option value="${option.value}">${option.label}</option>`
+        ).join('');
 
         return `
             <div class="row">
-                <div class="col-md-6 mb-3">
+                <div class="col-md-4 mb-3">
                     <label class="form-label">Round Type</label>
                     <select class="form-select" id="roundType_${roundId}">
                         ${roundTypes}
                     </select>
                 </div>
-                <div class="col-md-6 mb-3">
-                    <label class="form-label">Year</label>
-                    <input type="number" class="form-control" id="roundYear_${roundId}" value="${currentYear}" min="${CONFIG.VALIDATION.MIN_YEAR}">
+                <div class="col-md-4 mb-3">
+                    <label class="form-label">
+                        Share Class
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="Name of the class of shares issued. Defaults to the round type followed by Preferred"></i>
+                    </label>
+                    <input type="text" class="form-control" id="shareClass_${roundId}" placeholder="e.g. Series A Preferred">
+                </div>
+                <div class="col-md-4 mb-3">
+                    <label class="form-label">Close Date</label>
+                    <div class="input-group">
+                        <select class="form-select" id="roundMonth_${roundId}">
+                            ${months}
+                        </select>
+                        <input type="number" class="form-control" id="roundYear_${roundId}" value="${currentYear}" min="${CONFIG.VALIDATION.MIN_YEAR}">
+                    </div>
                 </div>
             </div>
             <div class="row">
@@ -225,29 +396,226 @@ class CapTableApp {
                     <label class="form-label">
                         Liquidation Preference
                         <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
-                           title="Minimum return investors get before other shareholders. 1x = get money back first, 2x = get 2x money back first"></i>
+                           title="Multiple of the investment paid to investors before other shareholders. 1x = get money back first, 1.5x = get 1.5x money back first"></i>
+                    </label>
+                    <div class="input-group">
+                        <input type="number" class="form-control" id="preferenceMultiple_${roundId}" value="${CONFIG.DEFAULTS.ROUND.PREFERENCE_MULTIPLE}" step="0.25" min="0" max="${CONFIG.VALIDATION.MAX_PREFERENCE_MULTIPLE}">
+                        <span class="input-group-text">x</span>
+                    </div>
+                </div>
+            </div>
+            <div class="row">
+                <div class="col-md-6 mb-3">
+                    <div class="form-check mt-md-4">
+                        <input class="form-check-input" type="checkbox" id="participating_${roundId}">
+                        <label class="form-check-label" for="participating_${roundId}">
+                            Participating preferred
+                            <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                               title="After the preference, investors also share the remaining proceeds with common. Non-participating investors take the greater of their preference and their as-converted share"></i>
+                        </label>
+                    </div>
+                </div>
+                <div class="col-md-6 mb-3">
+                    <label class="form-label">
+                        Participation Cap
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="Most a participating round can receive, preference included, as a multiple of its investment. Above it investors convert to common if that pays more. Leave blank for no cap"></i>
+                    </label>
+                    <div class="input-group">
+                        <input type="number" class="form-control" id="participationCap_${roundId}" placeholder="No cap" step="0.5" min="0" disabled>
+                        <span class="input-group-text">x</span>
+                    </div>
+                </div>
+            </div>
+            <div class="row">
+                <div class="col-md-6 mb-3">
+                    <label class="form-label">
+                        Seniority
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="Where this round's preference ranks at exit. Stacked rounds are paid before all earlier rounds; pari passu rounds share pro rata with the rounds they rank alongside when proceeds fall short"></i>
+                    </label>
+                    <select class="form-select" id="seniority_${roundId}">
+                        ${seniorityOptions}
+                    </select>
+                </div>
+                <div class="col-md-6 mb-3">
+                    <label class="form-label">
+                        Seniority Tier
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="For a defined tier only. Higher tiers are paid first and rounds in the same tier share pro rata. Stacked rounds rank one tier above the highest earlier round"></i>
+                    </label>
+                    <input type="number" class="form-control" id="seniorityTier_${roundId}" value="${CONFIG.DEFAULTS.ROUND.SENIORITY_TIER}" step="1" min="1" max="${CONFIG.VALIDATION.MAX_SENIORITY_TIER}" disabled>
+                </div>
+            </div>
+            <div class="row">
+                <div class="col-md-3 mb-3">
+                    <label class="form-label">
+                        Dividend (%)
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="Annual preferred dividend as a percentage of the investment, accrued from the round year to exit. Priced rounds only"></i>
+                    </label>
+                    <input type="number" class="form-control" id="dividendRate_${roundId}" value="${CONFIG.DEFAULTS.ROUND.DIVIDEND_RATE}" step="0.5" min="0" max="100">
+                </div>
+                <div class="col-md-3 mb-3">
+                    <label class="form-label">Accrual</label>
+                    <select class="form-select" id="dividendCompounding_${roundId}">
+                        ${dividendCompoundings}
+                    </select>
+                </div>
+                <div class="col-md-3 mb-3">
+                    <label class="form-label">
+                        Paid In
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="Cash dividends are added to the preference at exit. In-kind dividends are issued as extra shares of the round's class at its issue price"></i>
                     </label>
-                    <select class="form-select" id="liquidationPref_${roundId}">
-                        ${liquidationPrefs}
+                    <select class="form-select" id="dividendPayment_${roundId}">
+                        ${dividendPayments}
                     </select>
                 </div>
+                <div class="col-md-3 mb-3">
+                    <div class="form-check mt-md-4">
+                        <input class="form-check-input" type="checkbox" id="dividendCumulative_${roundId}" ${CONFIG.DEFAULTS.ROUND.DIVIDEND_CUMULATIVE ? 'checked' : ''}>
+                        <label class="form-check-label" for="dividendCumulative_${roundId}">
+                            Cumulative
+                            <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                               title="Undeclared cash dividends build up and are paid at exit. Non-cumulative cash dividends lapse if not declared, so add nothing at exit"></i>
+                        </label>
+                    </div>
+                </div>
             </div>
             <div class="row">
                 <div class="col-md-6 mb-3">
                     <label class="form-label">
                         Anti-Dilution
                         <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
-                           title="Protection against future down rounds. Weighted Average = moderate protection, Full Ratchet = maximum protection"></i>
+                           title="Protection against future down rounds. Broad-Based Weighted Average = moderate protection, Narrow-Based = stronger, Full Ratchet = maximum protection"></i>
                     </label>
                     <select class="form-select" id="antiDilution_${roundId}">
                         ${antiDilutionOptions}
                     </select>
                 </div>
                 <div class="col-md-6 mb-3">
-                    <label class="form-label">Discount Rate (%)</label>
+                    <label class="form-label">
+                        Discount Rate (%)
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="SAFEs and notes only. Discount to the next priced round's share price on conversion"></i>
+                    </label>
                     <input type="number" class="form-control" id="discountRate_${roundId}" value="0" step="5" min="0" max="50">
                 </div>
             </div>
+            <div class="row">
+                <div class="col-md-6 mb-3">
+                    <label class="form-label">
+                        Option Pool Target (%)
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="Post-round option pool size required by this round. Leave blank to use the company setting"></i>
+                    </label>
+                    <input type="number" class="form-control" id="optionPoolTarget_${roundId}" value="" step="0.1" min="0" max="100" placeholder="Company default">
+                </div>
+                <div class="col-md-6 mb-3">
+                    <label class="form-label">
+                        Pool Top-Up
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="Pre-money top-ups (the 'option pool shuffle') dilute only existing holders and lower the effective pre-money valuation"></i>
+                    </label>
+                    <select class="form-select" id="optionPoolTiming_${roundId}">
+                        ${poolTimings}
+                    </select>
+                </div>
+            </div>
+            <div class="row">
+                <div class="col-md-6 mb-3">
+                    <div class="form-check mt-md-4">
+                        <input class="form-check-input" type="checkbox" id="proRataRights_${roundId}">
+                        <label class="form-check-label" for="proRataRights_${roundId}">
+                            Round investors get pro-rata rights
+                            <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                               title="Applies when no named investors are listed. Tick Pro-rata on each named investor otherwise"></i>
+                        </label>
+                    </div>
+                </div>
+                <div class="col-md-6 mb-3">
+                    <label class="form-label">
+                        Pro-Rata Take-Up (%)
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="Share of their pro-rata allocation that earlier investors with pro-rata rights take up in this round. Their follow-on comes out of the round, reducing the new investors' allocation"></i>
+                    </label>
+                    <input type="number" class="form-control" id="proRataTakeUp_${roundId}" value="${CONFIG.DEFAULTS.ROUND.PRO_RATA_TAKE_UP}" step="5" min="0" max="100">
+                </div>
+            </div>
+            <div class="mb-3">
+                <div class="d-flex justify-content-between align-items-center mb-2">
+                    <label class="form-label mb-0">
+                        Investors
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="Named investors and their amounts, which must add up to the investment amount. Leave empty to treat the round as a single investor"></i>
+                    </label>
+                    <button type="button" class="btn btn-outline-primary btn-sm" onclick="addInvestor(${roundId})">
+                        <i class="bi bi-person-plus"></i> Add Investor
+                    </button>
+                </div>
+                <div id="investors_${roundId}">
+                    <!-- Investors will be added here dynamically -->
+                </div>
+            </div>
+            <div class="mb-3">
+                <div class="d-flex justify-content-between align-items-center mb-2">
+                    <label class="form-label mb-0">
+                        Secondary Sales
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="Existing shares sold during the round by a founder or earlier investor. Shares move from seller to buyer at the given price; no new shares are issued"></i>
+                    </label>
+                    <button type="button" class="btn btn-outline-primary btn-sm" onclick="addSecondary(${roundId})">
+                        <i class="bi bi-arrow-left-right"></i> Add Secondary
+                    </button>
+                </div>
+                <div id="secondaries_${roundId}">
+                    <!-- Secondary sales will be added here dynamically -->
+                </div>
+            </div>
+            <div class="mb-3">
+                <div class="d-flex justify-content-between align-items-center mb-2">
+                    <label class="form-label mb-0">
+                        Tranches
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="Investment paid in instalments. Amounts must add up to the investment; leave empty if it is all paid at the close date. Used for IRR"></i>
+                    </label>
+                    <button type="button" class="btn btn-outline-primary btn-sm" onclick="addTranche(${roundId})">
+                        <i class="bi bi-calendar-plus"></i> Add Tranche
+                    </button>
+                </div>
+                <div id="tranches_${roundId}">
+                    <!-- Tranches will be added here dynamically -->
+                </div>
+            </div>
+            <div class="row" id="convertibleTerms_${roundId}" style="display: none;">
+                <div class="col-md-4 mb-3">
+                    <label class="form-label">
+                        Valuation Cap
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="Maximum valuation at which the SAFE or note converts. Leave at 0 for no cap"></i>
+                    </label>
+                    <input type="text" class="form-control" id="valuationCap_${roundId}" value="0">
+                </div>
+                <div class="col-md-4 mb-3">
+                    <label class="form-label">
+                        SAFE Type
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="Post-money SAFEs fix the holder's ownership at investment / cap; pre-money SAFEs and notes are diluted by other converting instruments"></i>
+                    </label>
+                    <select class="form-select" id="safeType_${roundId}">
+                        ${safeTypes}
+                    </select>
+                </div>
+                <div class="col-md-4 mb-3">
+                    <label class="form-label">
+                        Interest Rate (%)
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="Convertible notes only. Simple annual interest accrued until conversion"></i>
+                    </label>
+                    <input type="number" class="form-control" id="interestRate_${roundId}" value="0" step="0.5" min="0" max="100">
+                </div>
+            </div>
         `;
     }
 
@@ -260,7 +628,9 @@ class CapTableApp {
         tooltips.forEach(tooltip => new bootstrap.Tooltip(tooltip));
         
         // Setup number formatting for monetary fields
-        const monetaryFields = [`preMoneyValuation_${roundId}`, `investment_${roundId}`, `revenue_${roundId}`];
+        const monetaryFields = [
+            `preMoneyValuation_${roundId}`, `investment_${roundId}`, `revenue_${roundId}`, `valuationCap_${roundId}`
+        ];
         monetaryFields.forEach(fieldId => {
             const element = document.getElementById(fieldId);
             if (element) {
@@ -270,9 +640,13 @@ class CapTableApp {
         
         // Setup auto-save for all round fields
         const roundFields = [
-            `roundType_${roundId}`, `roundYear_${roundId}`, `preMoneyValuation_${roundId}`,
-            `investment_${roundId}`, `revenue_${roundId}`, `liquidationPref_${roundId}`,
-            `antiDilution_${roundId}`, `discountRate_${roundId}`
+            `roundType_${roundId}`, `shareClass_${roundId}`, `roundYear_${roundId}`, `roundMonth_${roundId}`, `preMoneyValuation_${roundId}`,
+            `investment_${roundId}`, `revenue_${roundId}`, `preferenceMultiple_${roundId}`,
+            `participating_${roundId}`, `participationCap_${roundId}`, `seniority_${roundId}`, `seniorityTier_${roundId}`,
+            `dividendRate_${roundId}`, `dividendCumulative_${roundId}`, `dividendCompounding_${roundId}`, `dividendPayment_${roundId}`,
+            `antiDilution_${roundId}`, `discountRate_${roundId}`, `valuationCap_${roundId}`,
+            `safeType_${roundId}`, `interestRate_${roundId}`, `optionPoolTarget_${roundId}`,
+            `optionPoolTiming_${roundId}`, `proRataRights_${roundId}`, `proRataTakeUp_${roundId}`
         ];
         
         const debouncedSave = UIUtils.debounce(() => this.saveToStorage(), CONFIG.UI.DEBOUNCE_DELAY);
@@ -281,95 +655,1097 @@ class CapTableApp {
             DOMUtils.addEventListenerSafe(fieldId, 'change', debouncedSave);
             DOMUtils.addEventListenerSafe(fieldId, 'input', debouncedSave);
         });
+        
+        // Only show SAFE and note terms for convertible rounds
+        DOMUtils.addEventListenerSafe(`roundType_${roundId}`, 'change', () => this.updateConvertibleTerms(roundId));
+        
+        // A participation cap only applies to participating preferred
+        DOMUtils.addEventListenerSafe(`participating_${roundId}`, 'change', () => this.updateParticipationCap(roundId));
+        
+        // A tier number only applies to a defined tier
+        DOMUtils.addEventListenerSafe(`seniority_${roundId}`, 'change', () => {
+            DOMUtils.getElement(`seniorityTier_${roundId}`).disabled = DOMUtils.getValue(`seniority_${roundId}`) !== 'tier';
+        });
     }
 
     /**
-     * Remove funding round
+     * Show or hide SAFE and note terms for a round
      */
-    removeFundingRound(roundId) {
-        try {
-            const roundElement = document.getElementById(`round_${roundId}`);
-            if (roundElement) {
-                roundElement.remove();
-            }
-        } catch (error) {
-            ErrorHandler.handleError(error, { roundId });
-        }
+    updateConvertibleTerms(roundId) {
+        const roundType = DOMUtils.getValue(`roundType_${roundId}`);
+        DOMUtils.toggleElement(`convertibleTerms_${roundId}`, CONFIG.CONVERTIBLE_ROUND_TYPES.includes(roundType));
     }
 
     /**
-     * Clear all funding rounds
+     * Enable the participation cap only for participating preferred
      */
-    clearFundingRounds() {
-        try {
-            const container = DOMUtils.getElement('fundingRounds');
-            container.innerHTML = '';
-            this.fundingRoundCount = 0;
-        } catch (error) {
-            ErrorHandler.handleError(error, { action: 'clearFundingRounds' });
+    updateParticipationCap(roundId) {
+        const capField = DOMUtils.getElement(`participationCap_${roundId}`);
+        capField.disabled = !DOMUtils.getCheckboxValue(`participating_${roundId}`);
+        if (capField.disabled) {
+            capField.value = '';
         }
     }
 
     /**
-     * Collect input data from form
+     * Generate vesting schedule fields for a founder or option grant row
      */
-    collectInputData() {
-        try {
-            const companyData = {
-                companyName: DOMUtils.getValue('companyName'),
-                currency: DOMUtils.getValue('currency'),
-                founderShares: DOMUtils.getNumericValue('founderShares'),
-                optionPoolPercent: DOMUtils.getNumericValue('optionPool'),
-                optionPoolTopUp: DOMUtils.getCheckboxValue('optionPoolTopUp', true),
-                useRevenueMultiples: DOMUtils.getCheckboxValue('useRevenueMultiples', true),
-                exitYear: DOMUtils.getIntegerValue('exitYear'),
-                exitValuation: DOMUtils.getNumericValue('exitValuation'),
-                exitMultiple: DOMUtils.getNumericValue('exitMultiple'),
-                rounds: []
-            };
-
-            // Collect funding rounds
-            for (let i = 0; i < this.fundingRoundCount; i++) {
-                const roundElement = document.getElementById(`round_${i}`);
-                if (!roundElement) continue;
-
-                const roundData = {
-                    id: i,
-                    type: DOMUtils.getValue(`roundType_${i}`),
-                    year: DOMUtils.getIntegerValue(`roundYear_${i}`),
-                    preMoneyValuation: DOMUtils.getNumericValue(`preMoneyValuation_${i}`),
-                    investment: DOMUtils.getNumericValue(`investment_${i}`),
-                    revenue: DOMUtils.getNumericValue(`revenue_${i}`),
-                    liquidationPref: DOMUtils.getValue(`liquidationPref_${i}`, '1x'),
-                    antiDilution: DOMUtils.getValue(`antiDilution_${i}`, 'none'),
-                    discountRate: DOMUtils.getNumericValue(`discountRate_${i}`)
-                };
+    generateVestingFieldsHTML(prefix, itemId, durationMonths) {
+        const vestingDefaults = CONFIG.DEFAULTS.VESTING;
+        
+        const frequencies = CONFIG.VESTING_FREQUENCIES.map(option => 
+            `<option value="${option.value}" ${option.value === vestingDefaults.FREQUENCY ? 'selected' : ''}>${option.label}</option>`
+        ).join('');
+        
+        const accelerations = CONFIG.ACCELERATION_OPTIONS.map(option => 
+            `<option value="${option.value}" ${option.value === vestingDefaults.ACCELERATION ? 'selected' : ''}>${option.label}</option>`
+        ).join('');
+        
+        return `
+            <div class="row g-2">
+                <div class="col-md-4">
+                    <label class="form-label small mb-0">Vesting Start</label>
+                    <input type="month" class="form-control form-control-sm" id="${prefix}VestingStart_${itemId}" value="${DateUtils.getCurrentYear()}-01">
+                </div>
+                <div class="col-md-4">
+                    <label class="form-label small mb-0">
+                        Vesting (months)
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="Total vesting period. Leave at 0 if the shares are fully vested"></i>
+                    </label>
+                    <input type="number" class="form-control form-control-sm" id="${prefix}VestingDuration_${itemId}" value="${durationMonths}" step="1" min="0">
+                </div>
+                <div class="col-md-4">
+                    <label class="form-label small mb-0">Cliff (months)</label>
+                    <input type="number" class="form-control form-control-sm" id="${prefix}VestingCliff_${itemId}" value="${vestingDefaults.CLIFF_MONTHS}" step="1" min="0">
+                </div>
+                <div class="col-md-4">
+                    <label class="form-label small mb-0">Frequency</label>
+                    <select class="form-select form-select-sm" id="${prefix}VestingFrequency_${itemId}">
+                        ${frequencies}
+                    </select>
+                </div>
+                <div class="col-md-4">
+                    <label class="form-label small mb-0">Acceleration</label>
+                    <select class="form-select form-select-sm" id="${prefix}Acceleration_${itemId}">
+                        ${accelerations}
+                    </select>
+                </div>
+                <div class="col-md-4">
+                    <label class="form-label small mb-0">
+                        Accelerated (%)
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" 
+                           title="Share of the unvested shares that vest when acceleration is triggered"></i>
+                    </label>
+                    <input type="number" class="form-control form-control-sm" id="${prefix}AccelerationPercent_${itemId}" value="${vestingDefaults.ACCELERATION_PERCENT}" step="5" min="0" max="100">
+                </div>
+            </div>
+        `;
+    }
 
-                companyData.rounds.push(roundData);
-            }
+    /**
+     * Get the ids of the vesting schedule fields for a founder or option grant row
+     */
+    getVestingFieldIds(prefix, itemId) {
+        return ['VestingStart', 'VestingDuration', 'VestingCliff', 'VestingFrequency', 'Acceleration', 'AccelerationPercent']
+            .map(field => `${prefix}${field}_${itemId}`);
+    }
 
-            return new Company(companyData);
-            
-        } catch (error) {
-            throw new DataError('input_collection', `Failed to collect input data: ${error.message}`);
+    /**
+     * Collect a vesting schedule, or null if the row has no vesting period
+     */
+    collectVesting(prefix, itemId) {
+        const durationMonths = DOMUtils.getIntegerValue(`${prefix}VestingDuration_${itemId}`);
+        if (durationMonths <= 0) {
+            return null;
         }
+        
+        return {
+            startDate: DOMUtils.getValue(`${prefix}VestingStart_${itemId}`),
+            durationMonths: durationMonths,
+            cliffMonths: DOMUtils.getIntegerValue(`${prefix}VestingCliff_${itemId}`),
+            frequency: DOMUtils.getValue(`${prefix}VestingFrequency_${itemId}`, CONFIG.DEFAULTS.VESTING.FREQUENCY),
+            acceleration: DOMUtils.getValue(`${prefix}Acceleration_${itemId}`, CONFIG.DEFAULTS.VESTING.ACCELERATION),
+            accelerationPercent: DOMUtils.getNumericValue(`${prefix}AccelerationPercent_${itemId}`, CONFIG.DEFAULTS.VESTING.ACCELERATION_PERCENT)
+        };
     }
 
     /**
-     * Main calculation function
+     * Add a named founder
      */
-    calculateCapTable() {
+    addFounder() {
         try {
-            UIUtils.showLoading('calculateButton');
+            const founderId = this.founderCount++;
             
-            // Collect and validate input data
-            this.company = this.collectInputData();
+            const founderHtml = `
+                <div class="border rounded p-2 mb-2" id="founder_${founderId}">
+                    <div class="row g-2 mb-2">
+                        <div class="col-6">
+                            <input type="text" class="form-control form-control-sm" id="founderName_${founderId}" placeholder="Founder name">
+                        </div>
+                        <div class="col-5">
+                            <input type="text" class="form-control form-control-sm" id="founderSharesHeld_${founderId}" placeholder="Shares">
+                        </div>
+                        <div class="col-1">
+                            <button type="button" class="btn btn-sm btn-outline-danger" onclick="removeFounder(${founderId})">
+                                <i class="bi bi-x"></i>
+                            </button>
+                        </div>
+                    </div>
+                    ${this.generateVestingFieldsHTML('founder', founderId, CONFIG.DEFAULTS.VESTING.DURATION_MONTHS)}
+                </div>
+            `;
             
-            // Calculate cap table evolution
+            const container = DOMUtils.getElement('founders');
+            container.insertAdjacentHTML('beforeend', founderHtml);
+            
+            UIUtils.setupNumberFormatting(document.getElementById(`founderSharesHeld_${founderId}`));
+            
+            const debouncedSave = UIUtils.debounce(() => this.saveToStorage(), CONFIG.UI.DEBOUNCE_DELAY);
+            [
+                `founderName_${founderId}`, `founderSharesHeld_${founderId}`,
+                ...this.getVestingFieldIds('founder', founderId)
+            ].forEach(fieldId => {
+                DOMUtils.addEventListenerSafe(fieldId, 'change', debouncedSave);
+                DOMUtils.addEventListenerSafe(fieldId, 'input', debouncedSave);
+            });
+            
+        } catch (error) {
+            ErrorHandler.handleError(error, { action: 'addFounder' });
+        }
+    }
+
+    /**
+     * Remove a named founder
+     */
+    removeFounder(founderId) {
+        try {
+            const founderElement = document.getElementById(`founder_${founderId}`);
+            if (founderElement) {
+                founderElement.remove();
+            }
+        } catch (error) {
+            ErrorHandler.handleError(error, { founderId });
+        }
+    }
+
+    /**
+     * Collect named founders
+     */
+    collectFounders() {
+        const founders = [];
+        
+        for (let i = 0; i < this.founderCount; i++) {
+            if (!document.getElementById(`founder_${i}`)) continue;
+            
+            const name = DOMUtils.getValue(`founderName_${i}`).trim();
+            const shares = DOMUtils.getNumericValue(`founderSharesHeld_${i}`);
+            
+            // Skip rows left blank
+            if (!name && shares === 0) continue;
+            
+            founders.push({ name, shares, vesting: this.collectVesting('founder', i) });
+        }
+        
+        return founders;
+    }
+
+    /**
+     * Clear all named founders
+     */
+    clearFounders() {
+        try {
+            const container = DOMUtils.getElement('founders');
+            container.innerHTML = '';
+            this.founderCount = 0;
+        } catch (error) {
+            ErrorHandler.handleError(error, { action: 'clearFounders' });
+        }
+    }
+
+    /**
+     * Add an option grant to the ledger
+     */
+    addOptionGrant() {
+        try {
+            const grantId = this.optionGrantCount++;
+            
+            const statuses = CONFIG.OPTION_GRANT_STATUSES.map(option => 
+                `<option value="${option.value}" ${option.value === CONFIG.DEFAULTS.OPTION_GRANT.STATUS ? 'selected' : ''}>${option.label}</option>`
+            ).join('');
+            
+            const grantHtml = `
+                <div class="border rounded p-2 mb-2" id="optionGrant_${grantId}">
+                    <div class="row g-2 mb-2">
+                        <div class="col-md-3">
+                            <input type="text" class="form-control form-control-sm" id="grantee_${grantId}" placeholder="Grantee">
+                        </div>
+                        <div class="col-md-3">
+                            <input type="month" class="form-control form-control-sm" id="grantDate_${grantId}" value="${DateUtils.getCurrentYear()}-01">
+                        </div>
+                        <div class="col-md-2">
+                            <input type="text" class="form-control form-control-sm" id="grantOptions_${grantId}" placeholder="Options">
+                        </div>
+                        <div class="col-md-2">
+                            <input type="number" class="form-control form-control-sm" id="grantStrike_${grantId}" placeholder="Strike" step="0.01" min="0">
+                        </div>
+                        <div class="col-md-2 d-flex gap-1">
+                            <select class="form-select form-select-sm" id="grantStatus_${grantId}">
+                                ${statuses}
+                            </select>
+                            <button type="button" class="btn btn-sm btn-outline-danger" onclick="removeOptionGrant(${grantId})">
+                                <i class="bi bi-x"></i>
+                            </button>
+                        </div>
+                    </div>
+                    ${this.generateVestingFieldsHTML('grant', grantId, CONFIG.DEFAULTS.OPTION_GRANT.VESTING_MONTHS)}
+                </div>
+            `;
+            
+            const container = DOMUtils.getElement('optionGrants');
+            container.insertAdjacentHTML('beforeend', grantHtml);
+            
+            UIUtils.setupNumberFormatting(document.getElementById(`grantOptions_${grantId}`));
+            
+            const debouncedSave = UIUtils.debounce(() => this.saveToStorage(), CONFIG.UI.DEBOUNCE_DELAY);
+            [
+                `grantee_${grantId}`, `grantDate_${grantId}`, `grantOptions_${grantId}`,
+                `grantStrike_${grantId}`, `grantStatus_${grantId}`,
+                ...this.getVestingFieldIds('grant', grantId)
+            ].forEach(fieldId => {
+                DOMUtils.addEventListenerSafe(fieldId, 'change', debouncedSave);
+                DOMUtils.addEventListenerSafe(fieldId, 'input', debouncedSave);
+            });
+            
+        } catch (error) {
+            ErrorHandler.handleError(error, { action: 'addOptionGrant' });
+        }
+    }
+
+    /**
+     * Remove an option grant from the ledger
+     */
+    removeOptionGrant(grantId) {
+        try {
+            const grantElement = document.getElementById(`optionGrant_${grantId}`);
+            if (grantElement) {
+                grantElement.remove();
+            }
+        } catch (error) {
+            ErrorHandler.handleError(error, { grantId });
+        }
+    }
+
+    /**
+     * Collect the option grant ledger
+     */
+    collectOptionGrants() {
+        const grants = [];
+        
+        for (let i = 0; i < this.optionGrantCount; i++) {
+            if (!document.getElementById(`optionGrant_${i}`)) continue;
+            
+            const grantee = DOMUtils.getValue(`grantee_${i}`).trim();
+            const options = DOMUtils.getNumericValue(`grantOptions_${i}`);
+            
+            // Skip rows left blank
+            if (!grantee && options === 0) continue;
+            
+            grants.push({
+                grantee,
+                date: DOMUtils.getValue(`grantDate_${i}`),
+                options,
+                strikePrice: DOMUtils.getNumericValue(`grantStrike_${i}`),
+                status: DOMUtils.getValue(`grantStatus_${i}`, CONFIG.DEFAULTS.OPTION_GRANT.STATUS),
+                vesting: this.collectVesting('grant', i)
+            });
+        }
+        
+        return grants;
+    }
+
+    /**
+     * Clear the option grant ledger
+     */
+    clearOptionGrants() {
+        try {
+            const container = DOMUtils.getElement('optionGrants');
+            container.innerHTML = '';
+            this.optionGrantCount = 0;
+        } catch (error) {
+            ErrorHandler.handleError(error, { action: 'clearOptionGrants' });
+        }
+    }
+
+    /**
+     * Add a warrant
+     */
+    addWarrant() {
+        try {
+            const warrantId = this.warrantCount++;
+            const currentYear = DateUtils.getCurrentYear();
+            
+            const exerciseMethods = CONFIG.WARRANT_EXERCISE_METHODS.map(option => 
+                `<option value="${option.value}" ${option.value === CONFIG.DEFAULTS.WARRANT.EXERCISE ? 'selected' : ''}>${option.label}</option>`
+            ).join('');
+            
+            const warrantHtml = `
+                <div class="border rounded p-2 mb-2" id="warrant_${warrantId}">
+                    <div class="row g-2 mb-2">
+                        <div class="col-md-4">
+                            <input type="text" class="form-control form-control-sm" id="warrantHolder_${warrantId}" placeholder="Holder">
+                        </div>
+                        <div class="col-md-4">
+                            <input type="text" class="form-control form-control-sm" id="warrantClass_${warrantId}" placeholder="Share class" value="${CONFIG.DEFAULTS.WARRANT.SHARE_CLASS}">
+                        </div>
+                        <div class="col-md-4 d-flex gap-1">
+                            <select class="form-select form-select-sm" id="warrantExercise_${warrantId}">
+                                ${exerciseMethods}
+                            </select>
+                            <button type="button" class="btn btn-sm btn-outline-danger" onclick="removeWarrant(${warrantId})">
+                                <i class="bi bi-x"></i>
+                            </button>
+                        </div>
+                    </div>
+                    <div class="row g-2">
+                        <div class="col-md-3">
+                            <input type="text" class="form-control form-control-sm" id="warrantShares_${warrantId}" placeholder="Shares">
+                        </div>
+                        <div class="col-md-3">
+                            <input type="number" class="form-control form-control-sm" id="warrantPrice_${warrantId}" placeholder="Exercise price" step="0.01" min="0">
+                        </div>
+                        <div class="col-md-3">
+                            <input type="month" class="form-control form-control-sm" id="warrantIssueDate_${warrantId}" value="${currentYear}-01" title="Issue date">
+                        </div>
+                        <div class="col-md-3">
+                            <input type="month" class="form-control form-control-sm" id="warrantExpiryDate_${warrantId}" value="${currentYear + CONFIG.DEFAULTS.WARRANT.TERM_YEARS}-01" title="Expiry date">
+                        </div>
+                    </div>
+                </div>
+            `;
+            
+            const container = DOMUtils.getElement('warrants');
+            container.insertAdjacentHTML('beforeend', warrantHtml);
+            
+            UIUtils.setupNumberFormatting(document.getElementById(`warrantShares_${warrantId}`));
+            
+            const debouncedSave = UIUtils.debounce(() => this.saveToStorage(), CONFIG.UI.DEBOUNCE_DELAY);
+            [
+                `warrantHolder_${warrantId}`, `warrantClass_${warrantId}`, `warrantExercise_${warrantId}`,
+                `warrantShares_${warrantId}`, `warrantPrice_${warrantId}`,
+                `warrantIssueDate_${warrantId}`, `warrantExpiryDate_${warrantId}`
+            ].forEach(fieldId => {
+                DOMUtils.addEventListenerSafe(fieldId, 'change', debouncedSave);
+                DOMUtils.addEventListenerSafe(fieldId, 'input', debouncedSave);
+            });
+            
+        } catch (error) {
+            ErrorHandler.handleError(error, { action: 'addWarrant' });
+        }
+    }
+
+    /**
+     * Remove a warrant
+     */
+    removeWarrant(warrantId) {
+        try {
+            const warrantElement = document.getElementById(`warrant_${warrantId}`);
+            if (warrantElement) {
+                warrantElement.remove();
+            }
+        } catch (error) {
+            ErrorHandler.handleError(error, { warrantId });
+        }
+    }
+
+    /**
+     * Collect warrants
+     */
+    collectWarrants() {
+        const warrants = [];
+        
+        for (let i = 0; i < this.warrantCount; i++) {
+            if (!document.getElementById(`warrant_${i}`)) continue;
+            
+            const holder = DOMUtils.getValue(`warrantHolder_${i}`).trim();
+            const shares = DOMUtils.getNumericValue(`warrantShares_${i}`);
+            
+            // Skip rows left blank
+            if (!holder && shares === 0) continue;
+            
+            warrants.push({
+                holder,
+                shareClass: DOMUtils.getValue(`warrantClass_${i}`).trim(),
+                shares,
+                exercisePrice: DOMUtils.getNumericValue(`warrantPrice_${i}`),
+                issueDate: DOMUtils.getValue(`warrantIssueDate_${i}`),
+                expiryDate: DOMUtils.getValue(`warrantExpiryDate_${i}`),
+                exercise: DOMUtils.getValue(`warrantExercise_${i}`, CONFIG.DEFAULTS.WARRANT.EXERCISE)
+            });
+        }
+        
+        return warrants;
+    }
+
+    /**
+     * Clear warrants
+     */
+    clearWarrants() {
+        try {
+            const container = DOMUtils.getElement('warrants');
+            container.innerHTML = '';
+            this.warrantCount = 0;
+        } catch (error) {
+            ErrorHandler.handleError(error, { action: 'clearWarrants' });
+        }
+    }
+
+    /**
+     * Fill in and lock the exit valuation when it is derived from exit revenue
+     */
+    updateExitValuation() {
+        const derived = DOMUtils.getValue('exitValuationMethod', CONFIG.DEFAULTS.EXIT_VALUATION_METHOD) === 'revenue-multiple';
+        const exitValuation = DOMUtils.getElement('exitValuation');
+        exitValuation.readOnly = derived;
+        
+        if (derived) {
+            const valuation = DOMUtils.getNumericValue('exitRevenue') * DOMUtils.getNumericValue('exitMultiple');
+            DOMUtils.setValue('exitValuation', NumberUtils.formatWithCommas(Math.round(valuation)));
+        }
+    }
+
+    /**
+     * Show the simulation settings for the selected exit distribution
+     */
+    updateExitDistributionTerms() {
+        const distribution = new ExitDistribution({ type: DOMUtils.getValue('exitDistribution', CONFIG.DEFAULTS.SIMULATION.DISTRIBUTION) });
+        DOMUtils.toggleElement('simulationTrialsTerms', distribution.isSimulated());
+        DOMUtils.toggleElement('simulationSeedTerms', distribution.isSimulated());
+        DOMUtils.toggleElement('lognormalTerms', distribution.type === 'lognormal');
+        DOMUtils.toggleElement('discreteTerms', distribution.type === 'discrete');
+    }
+
+    /**
+     * Add an outcome to the discrete exit distribution
+     */
+    addExitOutcome() {
+        try {
+            const outcomeId = this.exitOutcomeCount++;
+            
+            const outcomeHtml = `
+                <div class="row g-2 mb-2" id="exitOutcome_${outcomeId}">
+                    <div class="col-md-3">
+                        <input type="text" class="form-control form-control-sm" id="outcomeLabel_${outcomeId}" placeholder="Outcome">
+                    </div>
+                    <div class="col-md-2">
+                        <input type="number" class="form-control form-control-sm" id="outcomeProbability_${outcomeId}" placeholder="%" min="0" max="100" step="0.1">
+                    </div>
+                    <div class="col-md-4">
+                        <input type="text" class="form-control form-control-sm" id="outcomeValuation_${outcomeId}" placeholder="Exit valuation">
+                    </div>
+                    <div class="col-md-3 d-flex gap-1">
+                        <input type="number" class="form-control form-control-sm" id="outcomeYear_${outcomeId}" placeholder="Year">
+                        <button type="button" class="btn btn-sm btn-outline-danger" onclick="removeExitOutcome(${outcomeId})">
+                            <i class="bi bi-x"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+            
+            const container = DOMUtils.getElement('exitOutcomes');
+            container.insertAdjacentHTML('beforeend', outcomeHtml);
+            
+            UIUtils.setupNumberFormatting(document.getElementById(`outcomeValuation_${outcomeId}`));
+            
+            const debouncedSave = UIUtils.debounce(() => this.saveToStorage(), CONFIG.UI.DEBOUNCE_DELAY);
+            [
+                `outcomeLabel_${outcomeId}`, `outcomeProbability_${outcomeId}`,
+                `outcomeValuation_${outcomeId}`, `outcomeYear_${outcomeId}`
+            ].forEach(fieldId => {
+                DOMUtils.addEventListenerSafe(fieldId, 'change', debouncedSave);
+                DOMUtils.addEventListenerSafe(fieldId, 'input', debouncedSave);
+            });
+            
+        } catch (error) {
+            ErrorHandler.handleError(error, { action: 'addExitOutcome' });
+        }
+    }
+
+    /**
+     * Remove an exit outcome
+     */
+    removeExitOutcome(outcomeId) {
+        try {
+            const outcomeElement = document.getElementById(`exitOutcome_${outcomeId}`);
+            if (outcomeElement) {
+                outcomeElement.remove();
+            }
+        } catch (error) {
+            ErrorHandler.handleError(error, { outcomeId });
+        }
+    }
+
+    /**
+     * Collect the exit distribution settings and outcomes
+     */
+    collectExitDistribution() {
+        const outcomes = [];
+        
+        for (let i = 0; i < this.exitOutcomeCount; i++) {
+            if (!document.getElementById(`exitOutcome_${i}`)) continue;
+            
+            const label = DOMUtils.getValue(`outcomeLabel_${i}`).trim();
+            const probability = DOMUtils.getNumericValue(`outcomeProbability_${i}`);
+            
+            // Skip rows left blank
+            if (!label && probability === 0) continue;
+            
+            outcomes.push({
+                label,
+                probability,
+                exitValuation: DOMUtils.getNumericValue(`outcomeValuation_${i}`),
+                exitYear: DOMUtils.getNumericValue(`outcomeYear_${i}`, null)
+            });
+        }
+        
+        return {
+            type: DOMUtils.getValue('exitDistribution', CONFIG.DEFAULTS.SIMULATION.DISTRIBUTION),
+            trials: DOMUtils.getIntegerValue('simulationTrials', CONFIG.DEFAULTS.SIMULATION.TRIALS),
+            seed: DOMUtils.getIntegerValue('simulationSeed', CONFIG.DEFAULTS.SIMULATION.SEED),
+            volatility: DOMUtils.getNumericValue('exitVolatility', CONFIG.DEFAULTS.SIMULATION.VOLATILITY),
+            exitYearMin: DOMUtils.getNumericValue('exitYearMin', null),
+            exitYearMax: DOMUtils.getNumericValue('exitYearMax', null),
+            outcomes
+        };
+    }
+
+    /**
+     * Clear exit outcomes
+     */
+    clearExitOutcomes() {
+        try {
+            const container = DOMUtils.getElement('exitOutcomes');
+            container.innerHTML = '';
+            this.exitOutcomeCount = 0;
+        } catch (error) {
+            ErrorHandler.handleError(error, { action: 'clearExitOutcomes' });
+        }
+    }
+
+    /**
+     * Add a split, reverse split, buyback or cancellation to the timeline
+     */
+    addShareEvent() {
+        try {
+            const eventId = this.shareEventCount++;
+            
+            const eventTypes = CONFIG.SHARE_EVENT_TYPES.map(option => 
+                `<option value="${option.value}" ${option.value === CONFIG.DEFAULTS.SHARE_EVENT.TYPE ? 'selected' : ''}>${option.label}</option>`
+            ).join('');
+            
+            const eventHtml = `
+                <div class="row g-2 mb-2" id="shareEvent_${eventId}">
+                    <div class="col-md-3">
+                        <select class="form-select form-select-sm" id="eventType_${eventId}">
+                            ${eventTypes}
+                        </select>
+                    </div>
+                    <div class="col-md-2">
+                        <input type="number" class="form-control form-control-sm" id="eventYear_${eventId}" value="${DateUtils.getCurrentYear()}" min="${CONFIG.VALIDATION.MIN_YEAR}">
+                    </div>
+                    <div class="col-md-6" id="eventSplitTerms_${eventId}">
+                        <div class="input-group input-group-sm">
+                            <span class="input-group-text">Ratio</span>
+                            <input type="number" class="form-control" id="eventRatio_${eventId}" value="${CONFIG.DEFAULTS.SHARE_EVENT.RATIO}" min="1">
+                        </div>
+                    </div>
+                    <div class="col-md-6" id="eventHolderTerms_${eventId}" style="display: none;">
+                        <div class="row g-2">
+                            <div class="col-5">
+                                <input type="text" class="form-control form-control-sm" id="eventHolder_${eventId}" placeholder="Holder">
+                            </div>
+                            <div class="col-4">
+                                <input type="text" class="form-control form-control-sm" id="eventShares_${eventId}" placeholder="Shares">
+                            </div>
+                            <div class="col-3">
+                                <input type="number" class="form-control form-control-sm" id="eventPrice_${eventId}" placeholder="Price" step="0.01" min="0">
+                            </div>
+                        </div>
+                    </div>
+                    <div class="col-md-1">
+                        <button type="button" class="btn btn-sm btn-outline-danger" onclick="removeShareEvent(${eventId})">
+                            <i class="bi bi-x"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+            
+            const container = DOMUtils.getElement('shareEvents');
+            container.insertAdjacentHTML('beforeend', eventHtml);
+            
+            UIUtils.setupNumberFormatting(document.getElementById(`eventShares_${eventId}`));
+            
+            const debouncedSave = UIUtils.debounce(() => this.saveToStorage(), CONFIG.UI.DEBOUNCE_DELAY);
+            [
+                `eventType_${eventId}`, `eventYear_${eventId}`, `eventRatio_${eventId}`,
+                `eventHolder_${eventId}`, `eventShares_${eventId}`, `eventPrice_${eventId}`
+            ].forEach(fieldId => {
+                DOMUtils.addEventListenerSafe(fieldId, 'change', debouncedSave);
+                DOMUtils.addEventListenerSafe(fieldId, 'input', debouncedSave);
+            });
+            
+            // Splits take a ratio; buybacks and cancellations take a holder and share count
+            DOMUtils.addEventListenerSafe(`eventType_${eventId}`, 'change', () => this.updateShareEventTerms(eventId));
+            
+        } catch (error) {
+            ErrorHandler.handleError(error, { action: 'addShareEvent' });
+        }
+    }
+
+    /**
+     * Show the split ratio or the holder terms for a share event
+     */
+    updateShareEventTerms(eventId) {
+        const event = new ShareEvent({ type: DOMUtils.getValue(`eventType_${eventId}`) });
+        DOMUtils.toggleElement(`eventSplitTerms_${eventId}`, event.isSplit());
+        DOMUtils.toggleElement(`eventHolderTerms_${eventId}`, !event.isSplit());
+        DOMUtils.toggleElement(`eventPrice_${eventId}`, event.type === 'buyback');
+    }
+
+    /**
+     * Remove a share event from the timeline
+     */
+    removeShareEvent(eventId) {
+        try {
+            const eventElement = document.getElementById(`shareEvent_${eventId}`);
+            if (eventElement) {
+                eventElement.remove();
+            }
+        } catch (error) {
+            ErrorHandler.handleError(error, { eventId });
+        }
+    }
+
+    /**
+     * Collect share events
+     */
+    collectShareEvents() {
+        const events = [];
+        
+        for (let i = 0; i < this.shareEventCount; i++) {
+            if (!document.getElementById(`shareEvent_${i}`)) continue;
+            
+            const type = DOMUtils.getValue(`eventType_${i}`, CONFIG.DEFAULTS.SHARE_EVENT.TYPE);
+            const event = new ShareEvent({ id: i, type, year: DOMUtils.getIntegerValue(`eventYear_${i}`) });
+            
+            if (event.isSplit()) {
+                event.ratio = DOMUtils.getNumericValue(`eventRatio_${i}`);
+            } else {
+                event.holder = DOMUtils.getValue(`eventHolder_${i}`).trim();
+                event.shares = DOMUtils.getNumericValue(`eventShares_${i}`);
+                event.price = type === 'buyback' ? DOMUtils.getNumericValue(`eventPrice_${i}`) : 0;
+            }
+            
+            events.push(event.toObject());
+        }
+        
+        return events;
+    }
+
+    /**
+     * Clear share events
+     */
+    clearShareEvents() {
+        try {
+            const container = DOMUtils.getElement('shareEvents');
+            container.innerHTML = '';
+            this.shareEventCount = 0;
+        } catch (error) {
+            ErrorHandler.handleError(error, { action: 'clearShareEvents' });
+        }
+    }
+
+    /**
+     * Add a named investor to a funding round
+     */
+    addInvestor(roundId) {
+        try {
+            const investorId = this.investorCounts[roundId] || 0;
+            this.investorCounts[roundId] = investorId + 1;
+            
+            const investorHtml = `
+                <div class="row g-2 mb-2" id="investor_${roundId}_${investorId}">
+                    <div class="col-5">
+                        <input type="text" class="form-control form-control-sm" id="investorName_${roundId}_${investorId}" placeholder="Investor name">
+                    </div>
+                    <div class="col-4">
+                        <input type="text" class="form-control form-control-sm" id="investorAmount_${roundId}_${investorId}" placeholder="Amount">
+                    </div>
+                    <div class="col-2">
+                        <div class="form-check mt-1">
+                            <input class="form-check-input" type="checkbox" id="investorProRata_${roundId}_${investorId}">
+                            <label class="form-check-label small" for="investorProRata_${roundId}_${investorId}">Pro-rata</label>
+                        </div>
+                    </div>
+                    <div class="col-1">
+                        <button type="button" class="btn btn-sm btn-outline-danger" onclick="removeInvestor(${roundId}, ${investorId})">
+                            <i class="bi bi-x"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+            
+            const container = DOMUtils.getElement(`investors_${roundId}`);
+            container.insertAdjacentHTML('beforeend', investorHtml);
+            
+            UIUtils.setupNumberFormatting(document.getElementById(`investorAmount_${roundId}_${investorId}`));
+            
+            const debouncedSave = UIUtils.debounce(() => this.saveToStorage(), CONFIG.UI.DEBOUNCE_DELAY);
+            [`investorName_${roundId}_${investorId}`, `investorAmount_${roundId}_${investorId}`].forEach(fieldId => {
+                DOMUtils.addEventListenerSafe(fieldId, 'input', debouncedSave);
+            });
+            DOMUtils.addEventListenerSafe(`investorProRata_${roundId}_${investorId}`, 'change', debouncedSave);
+            
+        } catch (error) {
+            ErrorHandler.handleError(error, { action: 'addInvestor', roundId });
+        }
+    }
+
+    /**
+     * Remove a named investor from a funding round
+     */
+    removeInvestor(roundId, investorId) {
+        try {
+            const investorElement = document.getElementById(`investor_${roundId}_${investorId}`);
+            if (investorElement) {
+                investorElement.remove();
+            }
+        } catch (error) {
+            ErrorHandler.handleError(error, { roundId, investorId });
+        }
+    }
+
+    /**
+     * Collect named investors for a funding round
+     */
+    collectInvestors(roundId) {
+        const investors = [];
+        
+        for (let i = 0; i < (this.investorCounts[roundId] || 0); i++) {
+            if (!document.getElementById(`investor_${roundId}_${i}`)) continue;
+            
+            const name = DOMUtils.getValue(`investorName_${roundId}_${i}`).trim();
+            const amount = DOMUtils.getNumericValue(`investorAmount_${roundId}_${i}`);
+            
+            // Skip rows left blank
+            if (!name && amount === 0) continue;
+            
+            investors.push({
+                name,
+                amount,
+                proRata: DOMUtils.getCheckboxValue(`investorProRata_${roundId}_${i}`, false)
+            });
+        }
+        
+        return investors;
+    }
+
+    /**
+     * Add a secondary sale to a funding round
+     */
+    addSecondary(roundId) {
+        try {
+            const secondaryId = this.secondaryCounts[roundId] || 0;
+            this.secondaryCounts[roundId] = secondaryId + 1;
+            
+            const secondaryHtml = `
+                <div class="row g-2 mb-2" id="secondary_${roundId}_${secondaryId}">
+                    <div class="col-3">
+                        <input type="text" class="form-control form-control-sm" id="secondarySeller_${roundId}_${secondaryId}" placeholder="Seller">
+                    </div>
+                    <div class="col-3">
+                        <input type="text" class="form-control form-control-sm" id="secondaryBuyer_${roundId}_${secondaryId}" placeholder="Buyer">
+                    </div>
+                    <div class="col-3">
+                        <input type="text" class="form-control form-control-sm" id="secondaryShares_${roundId}_${secondaryId}" placeholder="Shares">
+                    </div>
+                    <div class="col-2">
+                        <input type="number" class="form-control form-control-sm" id="secondaryPrice_${roundId}_${secondaryId}" placeholder="Price" step="0.01" min="0">
+                    </div>
+                    <div class="col-1">
+                        <button type="button" class="btn btn-sm btn-outline-danger" onclick="removeSecondary(${roundId}, ${secondaryId})">
+                            <i class="bi bi-x"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+            
+            const container = DOMUtils.getElement(`secondaries_${roundId}`);
+            container.insertAdjacentHTML('beforeend', secondaryHtml);
+            
+            UIUtils.setupNumberFormatting(document.getElementById(`secondaryShares_${roundId}_${secondaryId}`));
+            
+            const debouncedSave = UIUtils.debounce(() => this.saveToStorage(), CONFIG.UI.DEBOUNCE_DELAY);
+            ['secondarySeller', 'secondaryBuyer', 'secondaryShares', 'secondaryPrice'].forEach(prefix => {
+                DOMUtils.addEventListenerSafe(`${prefix}_${roundId}_${secondaryId}`, 'input', debouncedSave);
+            });
+            
+        } catch (error) {
+            ErrorHandler.handleError(error, { action: 'addSecondary', roundId });
+        }
+    }
+
+    /**
+     * Remove a secondary sale from a funding round
+     */
+    removeSecondary(roundId, secondaryId) {
+        try {
+            const secondaryElement = document.getElementById(`secondary_${roundId}_${secondaryId}`);
+            if (secondaryElement) {
+                secondaryElement.remove();
+            }
+        } catch (error) {
+            ErrorHandler.handleError(error, { roundId, secondaryId });
+        }
+    }
+
+    /**
+     * Collect secondary sales for a funding round
+     */
+    collectSecondaries(roundId) {
+        const secondaries = [];
+        
+        for (let i = 0; i < (this.secondaryCounts[roundId] || 0); i++) {
+            if (!document.getElementById(`secondary_${roundId}_${i}`)) continue;
+            
+            const seller = DOMUtils.getValue(`secondarySeller_${roundId}_${i}`).trim();
+            const buyer = DOMUtils.getValue(`secondaryBuyer_${roundId}_${i}`).trim();
+            const shares = DOMUtils.getNumericValue(`secondaryShares_${roundId}_${i}`);
+            
+            // Skip rows left blank
+            if (!seller && !buyer && shares === 0) continue;
+            
+            secondaries.push({
+                seller,
+                buyer,
+                shares,
+                price: DOMUtils.getNumericValue(`secondaryPrice_${roundId}_${i}`)
+            });
+        }
+        
+        return secondaries;
+    }
+
+    /**
+     * Add a tranche to a funding round
+     */
+    addTranche(roundId) {
+        try {
+            const trancheId = this.trancheCounts[roundId] || 0;
+            this.trancheCounts[roundId] = trancheId + 1;
+            
+            const year = DOMUtils.getIntegerValue(`roundYear_${roundId}`, DateUtils.getCurrentYear());
+            const month = DOMUtils.getIntegerValue(`roundMonth_${roundId}`, CONFIG.DEFAULTS.ROUND.MONTH);
+            
+            const trancheHtml = `
+                <div class="row g-2 mb-2" id="tranche_${roundId}_${trancheId}">
+                    <div class="col-5">
+                        <input type="month" class="form-control form-control-sm" id="trancheDate_${roundId}_${trancheId}" value="${DateUtils.formatMonth(year, month)}">
+                    </div>
+                    <div class="col-6">
+                        <input type="text" class="form-control form-control-sm" id="trancheAmount_${roundId}_${trancheId}" placeholder="Amount">
+                    </div>
+                    <div class="col-1">
+                        <button type="button" class="btn btn-sm btn-outline-danger" onclick="removeTranche(${roundId}, ${trancheId})">
+                            <i class="bi bi-x"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+            
+            const container = DOMUtils.getElement(`tranches_${roundId}`);
+            container.insertAdjacentHTML('beforeend', trancheHtml);
+            
+            UIUtils.setupNumberFormatting(document.getElementById(`trancheAmount_${roundId}_${trancheId}`));
+            
+            const debouncedSave = UIUtils.debounce(() => this.saveToStorage(), CONFIG.UI.DEBOUNCE_DELAY);
+            ['trancheDate', 'trancheAmount'].forEach(prefix => {
+                DOMUtils.addEventListenerSafe(`${prefix}_${roundId}_${trancheId}`, 'input', debouncedSave);
+            });
+            
+        } catch (error) {
+            ErrorHandler.handleError(error, { action: 'addTranche', roundId });
+        }
+    }
+
+    /**
+     * Remove a tranche from a funding round
+     */
+    removeTranche(roundId, trancheId) {
+        try {
+            const trancheElement = document.getElementById(`tranche_${roundId}_${trancheId}`);
+            if (trancheElement) {
+                trancheElement.remove();
+            }
+        } catch (error) {
+            ErrorHandler.handleError(error, { roundId, trancheId });
+        }
+    }
+
+    /**
+     * Collect tranches for a funding round
+     */
+    collectTranches(roundId) {
+        const tranches = [];
+        
+        for (let i = 0; i < (this.trancheCounts[roundId] || 0); i++) {
+            if (!document.getElementById(`tranche_${roundId}_${i}`)) continue;
+            
+            const amount = DOMUtils.getNumericValue(`trancheAmount_${roundId}_${i}`);
+            
+            // Skip rows left blank
+            if (amount === 0) continue;
+            
+            tranches.push({
+                date: DOMUtils.getValue(`trancheDate_${roundId}_${i}`),
+                amount
+            });
+        }
+        
+        return tranches;
+    }
+
+    /**
+     * Remove funding round
+     */
+    removeFundingRound(roundId) {
+        try {
+            const roundElement = document.getElementById(`round_${roundId}`);
+            if (roundElement) {
+                roundElement.remove();
+            }
+        } catch (error) {
+            ErrorHandler.handleError(error, { roundId });
+        }
+    }
+
+    /**
+     * Clear all funding rounds
+     */
+    clearFundingRounds() {
+        try {
+            const container = DOMUtils.getElement('fundingRounds');
+            container.innerHTML = '';
+            this.fundingRoundCount = 0;
+            this.investorCounts = {};
+            this.secondaryCounts = {};
+            this.trancheCounts = {};
+        } catch (error) {
+            ErrorHandler.handleError(error, { action: 'clearFundingRounds' });
+        }
+    }
+
+    /**
+     * Collect input data from form
+     */
+    collectInputData() {
+        try {
+            const companyData = {
+                companyName: DOMUtils.getValue('companyName'),
+                currency: DOMUtils.getValue('currency'),
+                founderShares: DOMUtils.getNumericValue('founderShares'),
+                founders: this.collectFounders(),
+                optionGrants: this.collectOptionGrants(),
+                warrants: this.collectWarrants(),
+                events: this.collectShareEvents(),
+                optionPoolPercent: DOMUtils.getNumericValue('optionPool'),
+                optionPoolTopUp: DOMUtils.getCheckboxValue('optionPoolTopUp', true),
+                useRevenueMultiples: DOMUtils.getCheckboxValue('useRevenueMultiples', true),
+                exitYear: DOMUtils.getIntegerValue('exitYear'),
+                exitMonth: DOMUtils.getIntegerValue('exitMonth', CONFIG.DEFAULTS.EXIT_MONTH),
+                escrowPercent: DOMUtils.getNumericValue('escrowPercent'),
+                escrowMonths: DOMUtils.getIntegerValue('escrowMonths', CONFIG.DEFAULTS.ESCROW.MONTHS),
+                exitValuation: DOMUtils.getNumericValue('exitValuation'),
+                exitMultiple: DOMUtils.getNumericValue('exitMultiple'),
+                exitRevenue: DOMUtils.getNumericValue('exitRevenue'),
+                exitValuationMethod: DOMUtils.getValue('exitValuationMethod', CONFIG.DEFAULTS.EXIT_VALUATION_METHOD),
+                terminatedAtExit: DOMUtils.getCheckboxValue('terminatedAtExit', CONFIG.DEFAULTS.TERMINATED_AT_EXIT),
+                exitDistribution: this.collectExitDistribution(),
+                rounds: []
+            };
+
+            // Collect funding rounds
+            for (let i = 0; i < this.fundingRoundCount; i++) {
+                const roundElement = document.getElementById(`round_${i}`);
+                if (!roundElement) continue;
+
+                const roundData = {
+                    id: i,
+                    type: DOMUtils.getValue(`roundType_${i}`),
+                    shareClass: DOMUtils.getValue(`shareClass_${i}`).trim(),
+                    year: DOMUtils.getIntegerValue(`roundYear_${i}`),
+                    month: DOMUtils.getIntegerValue(`roundMonth_${i}`, CONFIG.DEFAULTS.ROUND.MONTH),
+                    preMoneyValuation: DOMUtils.getNumericValue(`preMoneyValuation_${i}`),
+                    investment: DOMUtils.getNumericValue(`investment_${i}`),
+                    revenue: DOMUtils.getNumericValue(`revenue_${i}`),
+                    preferenceMultiple: DOMUtils.getNumericValue(`preferenceMultiple_${i}`, CONFIG.DEFAULTS.ROUND.PREFERENCE_MULTIPLE),
+                    participating: DOMUtils.getCheckboxValue(`participating_${i}`, CONFIG.DEFAULTS.ROUND.PARTICIPATING),
+                    participationCap: DOMUtils.getCheckboxValue(`participating_${i}`, CONFIG.DEFAULTS.ROUND.PARTICIPATING)
+                        ? DOMUtils.getNumericValue(`participationCap_${i}`, null)
+                        : null,
+                    seniority: DOMUtils.getValue(`seniority_${i}`, CONFIG.DEFAULTS.ROUND.SENIORITY),
+                    seniorityTier: DOMUtils.getIntegerValue(`seniorityTier_${i}`, CONFIG.DEFAULTS.ROUND.SENIORITY_TIER),
+                    dividendRate: DOMUtils.getNumericValue(`dividendRate_${i}`, CONFIG.DEFAULTS.ROUND.DIVIDEND_RATE),
+                    dividendCumulative: DOMUtils.getCheckboxValue(`dividendCumulative_${i}`, CONFIG.DEFAULTS.ROUND.DIVIDEND_CUMULATIVE),
+                    dividendCompounding: DOMUtils.getValue(`dividendCompounding_${i}`, CONFIG.DEFAULTS.ROUND.DIVIDEND_COMPOUNDING),
+                    dividendPayment: DOMUtils.getValue(`dividendPayment_${i}`, CONFIG.DEFAULTS.ROUND.DIVIDEND_PAYMENT),
+                    antiDilution: DOMUtils.getValue(`antiDilution_${i}`, 'none'),
+                    discountRate: DOMUtils.getNumericValue(`discountRate_${i}`),
+                    valuationCap: DOMUtils.getNumericValue(`valuationCap_${i}`),
+                    safeType: DOMUtils.getValue(`safeType_${i}`, CONFIG.DEFAULTS.ROUND.SAFE_TYPE),
+                    interestRate: DOMUtils.getNumericValue(`interestRate_${i}`),
+                    optionPoolTarget: DOMUtils.getNumericValue(`optionPoolTarget_${i}`, null),
+                    optionPoolTiming: DOMUtils.getValue(`optionPoolTiming_${i}`, CONFIG.DEFAULTS.ROUND.OPTION_POOL_TIMING),
+                    proRataRights: DOMUtils.getCheckboxValue(`proRataRights_${i}`, false),
+                    proRataTakeUp: DOMUtils.getNumericValue(`proRataTakeUp_${i}`, CONFIG.DEFAULTS.ROUND.PRO_RATA_TAKE_UP),
+                    investors: this.collectInvestors(i),
+                    secondaries: this.collectSecondaries(i),
+                    tranches: this.collectTranches(i)
+                };
+
+                companyData.rounds.push(roundData);
+            }
+
+            return new Company(companyData);
+            
+        } catch (error) {
+            throw new DataError('input_collection', `Failed to collect input data: ${error.message}`);
+        }
+    }
+
+    /**
+     * Main calculation function
+     */
+    calculateCapTable() {
+        try {
+            UIUtils.showLoading('calculateButton');
+            
+            // Collect and validate input data
+            this.company = this.collectInputData();
+            
+            // Calculate cap table evolution
             this.capTableData = CapTableCalculator.calculateEvolution(this.company);
             
+            // Break down founder and ESOP dilution at each stage
+            this.dilutionData = CapTableCalculator.calculateDilutionAttribution(this.capTableData);
+            
             // Calculate returns and metrics
-            this.returnsData = CapTableCalculator.calculateReturns(this.capTableData, this.company);
+            this.returnsData = CapTableCalculator.calculateReturns(this.capTableData, this.company, true);
+            
+            // Simulate exit outcomes when an exit distribution is set
+            this.simulationData = this.company.exitDistribution.isSimulated()
+                ? CapTableCalculator.calculateMonteCarlo(this.capTableData, this.company)
+                : null;
             
             // Update UI with results
             this.updateUI();
@@ -398,8 +1774,13 @@ class CapTableApp {
         try {
             this.updateKeyMetrics();
             this.updateReturnsTable();
+            this.updateShareClassTable();
+            this.updateDilutionTable();
             this.updateCharts();
             this.updateSensitivityAnalysis();
+            this.updateGoalSeekRounds();
+            this.updateRequiredExit();
+            this.updateMonteCarloAnalysis();
             this.updateUKTaxAnalysis();
             
         } catch (error) {
@@ -419,7 +1800,7 @@ class CapTableApp {
             const metrics = [
                 {
                     title: 'Final Valuation',
-                    value: `${currency}${NumberUtils.formatWithCommas(this.company.exitValuation)}`,
+                    value: `${currency}${NumberUtils.formatWithCommas(Math.round(this.returnsData.exitValuation))}`,
                     icon: 'graph-up'
                 },
                 {
@@ -439,23 +1820,209 @@ class CapTableApp {
                 }
             ];
 
-            const metricsHTML = metrics.map(metric => `
-                <div class="col-md-6 col-lg-3 mb-3">
-                    <div class="card metric-card h-100">
-                        <div class="card-body text-center">
-                            <i class="bi bi-${metric.icon} display-6 mb-2"></i>
-                            <h5>${metric.value}</h5>
-                            <small>${metric.title}</small>
-                        </div>
-                    </div>
+            const metricsHTML = metrics.map(metric => `
+                <div class="col-md-6 col-lg-3 mb-3">
+                    <div class="card metric-card h-100">
+                        <div class="card-body text-center">
+                            <i class="bi bi-${metric.icon} display-6 mb-2"></i>
+                            <h5>${metric.value}</h5>
+                            <small>${metric.title}</small>
+                        </div>
+                    </div>
+                </div>
+            `).join('');
+
+            container.innerHTML = metricsHTML + this.generateFounderHTML() + this.generateOptionPoolHTML() + this.generateConversionHTML() + this.generatePoolShuffleHTML() +
+                this.generateProRataHTML() + this.generateSecondaryHTML() + this.generateShareEventHTML() + this.generateAntiDilutionHTML();
+            
+        } catch (error) {
+            console.error('Failed to update key metrics:', error);
+        }
+    }
+
+    /**
+     * Generate HTML summarising SAFE and note conversions
+     */
+    generateConversionHTML() {
+        const currency = this.company.getCurrencySymbol();
+        const methodLabels = { round: 'round price', discount: 'discount', cap: 'valuation cap' };
+        
+        const items = this.capTableData
+            .filter(stage => stage.conversions.length > 0)
+            .flatMap(stage => stage.conversions.map(converted => 
+                `<li>${converted.round} (${converted.year}) converts at ${DOMUtils.escapeHtml(stage.stage)}: ${currency}${NumberUtils.formatWithCommas(Math.round(converted.amount))} into ${NumberUtils.formatWithCommas(converted.shares)} shares at ${currency}${converted.price.toFixed(4)} (${methodLabels[converted.method]})</li>`
+            ));
+        
+        const finalStage = this.capTableData[this.capTableData.length - 1];
+        finalStage.pendingConversions.forEach(instrument => {
+            items.push(`<li>${instrument.round} (${instrument.year}) is unconverted at exit</li>`);
+        });
+        
+        if (items.length === 0) {
+            return '';
+        }
+        
+        return `
+            <div class="col-12">
+                <div class="alert alert-info">
+                    <strong>SAFE and note conversions</strong>
+                    <ul class="mb-0">${items.join('')}</ul>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML summarising pre-money option pool top-ups
+     */
+    generatePoolShuffleHTML() {
+        const currency = this.company.getCurrencySymbol();
+        
+        const items = this.capTableData
+            .filter(stage => stage.optionPoolTiming === 'pre-money' && stage.optionPoolTopUpShares > 0)
+            .map(stage => 
+                `<li>${DOMUtils.escapeHtml(stage.stage)}: ${NumberUtils.formatWithCommas(stage.optionPoolTopUpShares)} pool shares in the pre-money cut the effective pre-money from ${currency}${NumberUtils.formatWithCommas(stage.preMoneyValuation)} to ${currency}${NumberUtils.formatWithCommas(Math.round(stage.effectivePreMoneyValuation))} and cost founders ${stage.poolShuffleDilution.toFixed(2)}% ownership versus a post-money top-up</li>`
+            );
+        
+        if (items.length === 0) {
+            return '';
+        }
+        
+        return `
+            <div class="col-12">
+                <div class="alert alert-secondary">
+                    <strong>Option pool shuffle</strong>
+                    <ul class="mb-0">${items.join('')}</ul>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML breaking down ownership and exit proceeds by founder
+     */
+    generateFounderHTML() {
+        if (this.company.founders.length === 0) {
+            return '';
+        }
+        
+        const currency = this.company.getCurrencySymbol();
+        const finalStage = this.capTableData[this.capTableData.length - 1];
+        
+        const items = finalStage.founderHoldings.map(holding => {
+            const payout = this.returnsData.founderReturns.find(founder => founder.name === holding.name);
+            const proceeds = payout ? payout.proceeds : 0;
+            let item = `${DOMUtils.escapeHtml(holding.name)}: ${NumberUtils.formatWithCommas(holding.shares)} shares, ${holding.ownership.toFixed(1)}% after the last round, ${currency}${NumberUtils.formatWithCommas(Math.round(proceeds))} at exit`;
+            
+            if (payout && payout.saleProceeds > 0) {
+                item += ` plus ${currency}${NumberUtils.formatWithCommas(Math.round(payout.saleProceeds))} taken off the table before exit`;
+            }
+            
+            if (holding.vesting && payout) {
+                const accelerated = payout.acceleratedShares > 0
+                    ? ` plus ${NumberUtils.formatWithCommas(payout.acceleratedShares)} accelerated`
+                    : '';
+                item += `. Vested: ${NumberUtils.formatWithCommas(holding.vestedShares)} at ${DOMUtils.escapeHtml(finalStage.stage)}, ` +
+                    `${NumberUtils.formatWithCommas(payout.vestedShares)} at exit${accelerated}; ` +
+                    `entitled to ${currency}${NumberUtils.formatWithCommas(Math.round(payout.entitledProceeds))}, ` +
+                    `${currency}${NumberUtils.formatWithCommas(Math.round(payout.unvestedProceeds))} on unvested shares`;
+            }
+            
+            return `<li>${item}</li>`;
+        });
+        
+        return `
+            <div class="col-12">
+                <div class="alert alert-primary">
+                    <strong>Founders</strong>
+                    <ul class="mb-0">${items.join('')}</ul>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML splitting the option pool into granted and available options
+     */
+    generateOptionPoolHTML() {
+        if (this.company.optionGrants.length === 0) {
+            return '';
+        }
+        
+        const items = this.capTableData.map(stage => 
+            `<li>${DOMUtils.escapeHtml(stage.stage)}: ${NumberUtils.formatWithCommas(stage.grantedOptionShares)} outstanding` +
+            `${stage.exercisedOptionShares > 0 ? ` and ${NumberUtils.formatWithCommas(stage.exercisedOptionShares)} exercised` : ''}` +
+            ` (${stage.grantedOptionOwnership.toFixed(1)}%, ${NumberUtils.formatWithCommas(stage.vestedOptionShares)} vested), ` +
+            `${NumberUtils.formatWithCommas(stage.availableOptionShares)} available (${stage.availableOptionOwnership.toFixed(1)}%)</li>`
+        );
+        
+        return `
+            <div class="col-12">
+                <div class="alert alert-success">
+                    <strong>Option pool</strong>
+                    <ul class="mb-0">${items.join('')}</ul>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML summarising pro-rata follow-on by existing investors
+     */
+    generateProRataHTML() {
+        const currency = this.company.getCurrencySymbol();
+        
+        const items = this.capTableData
+            .filter(stage => stage.proRataParticipation.length > 0)
+            .map(stage => {
+                const followOns = stage.proRataParticipation.map(participant => 
+                    `${DOMUtils.escapeHtml(participant.name)} ${currency}${NumberUtils.formatWithCommas(Math.round(participant.amount))} of ${currency}${NumberUtils.formatWithCommas(Math.round(participant.allocation))}`
+                ).join(', ');
+                const newMoney = stage.investment - stage.proRataInvestment;
+                return `<li>${DOMUtils.escapeHtml(stage.stage)}: ${followOns}; new investors ${currency}${NumberUtils.formatWithCommas(Math.round(newMoney))}</li>`;
+            });
+        
+        if (items.length === 0) {
+            return '';
+        }
+        
+        return `
+            <div class="col-12">
+                <div class="alert alert-light border">
+                    <strong>Pro-rata follow-on</strong>
+                    <ul class="mb-0">${items.join('')}</ul>
                 </div>
-            `).join('');
+            </div>
+        `;
+    }
 
-            container.innerHTML = metricsHTML;
-            
-        } catch (error) {
-            console.error('Failed to update key metrics:', error);
+    /**
+     * Generate HTML summarising anti-dilution adjustments from down rounds
+     */
+    generateAntiDilutionHTML() {
+        const methodLabels = Object.fromEntries(
+            CONFIG.ANTI_DILUTION_OPTIONS.map(option => [option.value, option.label])
+        );
+        
+        const items = this.capTableData
+            .filter(stage => stage.antiDilutionShares > 0)
+            .flatMap(stage => stage.antiDilutionAdjustments.map(adjustment => {
+                const percent = NumberUtils.calculatePercentage(adjustment.shares, stage.totalShares);
+                return `<li>${DOMUtils.escapeHtml(stage.stage)} down round: ${adjustment.round} receives ${NumberUtils.formatWithCommas(adjustment.shares)} extra shares (${percent}% of the company) under ${methodLabels[adjustment.method] || adjustment.method}</li>`;
+            }));
+        
+        if (items.length === 0) {
+            return '';
         }
+        
+        return `
+            <div class="col-12">
+                <div class="alert alert-warning mb-0">
+                    <strong>Anti-dilution adjustments</strong>
+                    <ul class="mb-0">${items.join('')}</ul>
+                </div>
+            </div>
+        `;
     }
 
     /**
@@ -465,6 +2032,7 @@ class CapTableApp {
         try {
             const container = DOMUtils.getElement('returnsTable');
             const currency = this.company.getCurrencySymbol();
+            const showDividends = this.returnsData.roundReturns.some(round => round.accruedDividend > 0);
             
             let tableHTML = `
                 <div class="table-responsive">
@@ -474,6 +2042,7 @@ class CapTableApp {
                                 <th>Round</th>
                                 <th>Investment</th>
                                 <th>Years Held</th>
+                                ${showDividends ? '<th>Dividend</th>' : ''}
                                 <th>Exit Value</th>
                                 <th>Multiple</th>
                                 <th>IRR</th>
@@ -484,17 +2053,20 @@ class CapTableApp {
             `;
             
             this.returnsData.roundReturns.forEach(round => {
-                const irrClass = round.irr >= 20 ? 'text-success' : round.irr >= 10 ? 'text-warning' : 'text-danger';
+                const irrClass = round.irr === null ? 'text-muted' : round.irr >= 20 ? 'text-success' : round.irr >= 10 ? 'text-warning' : 'text-danger';
                 const multipleClass = round.multipleOfMoney >= 3 ? 'text-success' : round.multipleOfMoney >= 2 ? 'text-warning' : 'text-danger';
                 
                 tableHTML += `
                     <tr>
                         <td><strong>${round.round}</strong><br><small class="text-muted">${round.year}</small></td>
                         <td>${currency}${NumberUtils.formatWithCommas(round.investment)}</td>
-                        <td>${round.yearsHeld} years</td>
-                        <td>${currency}${NumberUtils.formatWithCommas(round.exitValue)}</td>
+                        <td>${round.yearsHeld.toFixed(1)} years</td>
+                        ${showDividends ? `<td>${round.accruedDividend > 0
+                            ? `${currency}${NumberUtils.formatWithCommas(Math.round(round.dividendReturn))}<br><small class="text-muted">of ${currency}${NumberUtils.formatWithCommas(Math.round(round.accruedDividend))} accrued</small>`
+                            : '-'}</td>` : ''}
+                        <td>${currency}${NumberUtils.formatWithCommas(Math.round(round.exitValue))}<br><small class="text-muted">${round.converted ? 'Converted' : round.participationReturn > 0 ? 'Preference + participation' : 'Preference'}</small></td>
                         <td class="${multipleClass}">${round.multipleOfMoney.toFixed(1)}x</td>
-                        <td class="${irrClass}">${round.irr.toFixed(1)}%</td>
+                        <td class="${irrClass}">${NumberUtils.formatIRR(round.irr)}</td>
                         ${this.company.useRevenueMultiples ? `<td>${round.revenueMultiple > 0 ? round.revenueMultiple.toFixed(1) + 'x' : 'N/A'}</td>` : ''}
                     </tr>
                 `;
@@ -504,7 +2076,8 @@ class CapTableApp {
             const totalInvestment = this.returnsData.getTotalInvestment();
             const totalReturn = this.returnsData.totalInvestorReturn;
             const totalMultiple = totalInvestment > 0 ? totalReturn / totalInvestment : 0;
-            const avgIRR = this.returnsData.getWeightedAverageIRR();
+            const pooledIRR = this.returnsData.getPooledIRR();
+            const totalDividend = this.returnsData.roundReturns.reduce((total, round) => total + round.dividendReturn, 0);
             
             tableHTML += `
                         </tbody>
@@ -513,9 +2086,10 @@ class CapTableApp {
                                 <td><strong>Total</strong></td>
                                 <td><strong>${currency}${NumberUtils.formatWithCommas(totalInvestment)}</strong></td>
                                 <td>-</td>
-                                <td><strong>${currency}${NumberUtils.formatWithCommas(totalReturn)}</strong></td>
+                                ${showDividends ? `<td><strong>${currency}${NumberUtils.formatWithCommas(Math.round(totalDividend))}</strong></td>` : ''}
+                                <td><strong>${currency}${NumberUtils.formatWithCommas(Math.round(totalReturn))}</strong></td>
                                 <td><strong>${totalMultiple.toFixed(1)}x</strong></td>
-                                <td><strong>${avgIRR.toFixed(1)}%</strong></td>
+                                <td><strong>${NumberUtils.formatIRR(pooledIRR)}</strong><br><small>Pooled</small></td>
                                 ${this.company.useRevenueMultiples ? '<td>-</td>' : ''}
                             </tr>
                         </tfoot>
@@ -523,6 +2097,14 @@ class CapTableApp {
                 </div>
             `;
             
+            tableHTML += this.generateExitRevenueHTML(currency);
+            tableHTML += this.generateInvestorReturnsHTML(currency);
+            tableHTML += this.generateInvestorOwnershipHTML();
+            tableHTML += this.generateOptionGrantsHTML(currency);
+            tableHTML += this.generateWarrantsHTML(currency);
+            tableHTML += this.generateWaterfallHTML(currency);
+            tableHTML += this.generateBreakpointsHTML(currency);
+            
             container.innerHTML = tableHTML;
             
         } catch (error) {
@@ -530,6 +2112,457 @@ class CapTableApp {
         }
     }
 
+    /**
+     * Update the table breaking each stage's founder and ESOP dilution down by cause
+     */
+    updateDilutionTable() {
+        try {
+            const container = DOMUtils.getElement('dilutionTable');
+            const formatChange = change => {
+                if (Math.abs(change) < 0.005) return '<span class="text-muted">-</span>';
+                const changeClass = change < 0 ? 'text-danger' : 'text-success';
+                return `<span class="${changeClass}">${change > 0 ? '+' : ''}${change.toFixed(2)}</span>`;
+            };
+            
+            const rows = this.dilutionData.map(stage => [
+                { holder: 'Founders', before: stage.founderBefore, after: stage.founderAfter, change: 'founderChange' },
+                { holder: 'ESOP', before: stage.esopBefore, after: stage.esopAfter, change: 'esopChange' }
+            ].map((row, index) => `
+                <tr>
+                    ${index === 0 ? `<td rowspan="2"><strong>${DOMUtils.escapeHtml(stage.stage)}</strong><br><small class="text-muted">${stage.year}</small></td>` : ''}
+                    <td>${row.holder}</td>
+                    <td>${row.before.toFixed(1)}%</td>
+                    ${stage.causes.map(cause => `<td>${formatChange(cause[row.change])}</td>`).join('')}
+                    <td><strong>${row.after.toFixed(1)}%</strong></td>
+                </tr>
+            `).join('')).join('');
+            
+            container.innerHTML = `
+                <p class="text-muted small mb-2">Change in ownership at each stage, in percentage points, by what caused it. Other covers secondary sales, warrants and share events.</p>
+                <div class="table-responsive">
+                    <table class="table table-sm">
+                        <thead>
+                            <tr>
+                                <th>Stage</th>
+                                <th>Holder</th>
+                                <th>Before</th>
+                                ${CONFIG.DILUTION_CAUSES.map(cause => `<th>${cause.label}</th>`).join('')}
+                                <th>After</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+            
+        } catch (error) {
+            ErrorHandler.handleError(error, { action: 'updateDilutionTable' });
+        }
+    }
+
+    /**
+     * Update share class table with share counts and prices for each stage
+     */
+    updateShareClassTable() {
+        try {
+            const container = DOMUtils.getElement('shareClassTable');
+            const currency = this.company.getCurrencySymbol();
+            const formatPrice = price => price === null ? '-' : `${currency}${price.toFixed(4)}`;
+            
+            const stagesHTML = this.capTableData.map(stage => {
+                const rows = stage.shareClasses.map(shareClass => `
+                    <tr>
+                        <td>${DOMUtils.escapeHtml(shareClass.name)}</td>
+                        <td>${shareClass.paymentOrder ? shareClass.paymentOrder : '-'}</td>
+                        <td>${NumberUtils.formatWithCommas(shareClass.shares)}</td>
+                        <td>${shareClass.ownership.toFixed(1)}%</td>
+                        <td>${formatPrice(shareClass.issuePrice)}</td>
+                        <td>${formatPrice(shareClass.conversionPrice)}</td>
+                    </tr>
+                `).join('');
+                
+                const valuation = stage.pricePerShare > 0
+                    ? `<small class="text-muted">${currency}${stage.pricePerShare.toFixed(4)} per share, implied fully diluted valuation ${currency}${NumberUtils.formatWithCommas(Math.round(stage.impliedValuation))}${stage.postMoneyValuation > 0 ? ` against a post-money of ${currency}${NumberUtils.formatWithCommas(stage.postMoneyValuation)}` : ''}</small>`
+                    : '';
+                
+                return `
+                    <h6 class="mt-3 mb-1">${DOMUtils.escapeHtml(stage.stage)} (${stage.year})</h6>
+                    ${valuation}
+                    <div class="table-responsive">
+                        <table class="table table-sm mb-0">
+                            <thead>
+                                <tr>
+                                    <th>Class</th>
+                                    <th>Seniority</th>
+                                    <th>Shares</th>
+                                    <th>Ownership</th>
+                                    <th>Issue Price</th>
+                                    <th>Conversion Price</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${rows}
+                            </tbody>
+                        </table>
+                    </div>
+                `;
+            }).join('');
+            
+            container.innerHTML = stagesHTML;
+            
+        } catch (error) {
+            console.error('Failed to update share class table:', error);
+        }
+    }
+
+    /**
+     * Generate HTML listing secondary sales made during rounds
+     */
+    generateSecondaryHTML() {
+        if (this.returnsData.secondaryTransfers.length === 0) {
+            return '';
+        }
+        
+        const currency = this.company.getCurrencySymbol();
+        
+        const items = this.returnsData.secondaryTransfers.map(transfer => 
+            `<li>${transfer.round} (${transfer.year}): ${DOMUtils.escapeHtml(transfer.seller)} sold ${NumberUtils.formatWithCommas(transfer.shares)} ${DOMUtils.escapeHtml(transfer.shareClass)} ` +
+            `to ${DOMUtils.escapeHtml(transfer.buyer)} at ${currency}${transfer.price.toFixed(2)} for ${currency}${NumberUtils.formatWithCommas(Math.round(transfer.proceeds))}</li>`
+        );
+        
+        return `
+            <div class="col-12">
+                <div class="alert alert-light border">
+                    <strong>Secondary sales</strong>
+                    <ul class="mb-0">${items.join('')}</ul>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML listing splits, buybacks and cancellations
+     */
+    generateShareEventHTML() {
+        const currency = this.company.getCurrencySymbol();
+        
+        const items = this.capTableData
+            .filter(stage => stage.event)
+            .map(stage => {
+                if (stage.event.isSplit()) {
+                    return `<li>${DOMUtils.escapeHtml(stage.stage)} (${stage.year}): ${NumberUtils.formatWithCommas(stage.totalShares)} shares fully diluted` +
+                        `${stage.pricePerShare > 0 ? `, last round price now ${currency}${stage.pricePerShare.toFixed(4)}` : ''}</li>`;
+                }
+                const retired = stage.retirements.map(retirement => 
+                    `${NumberUtils.formatWithCommas(retirement.shares)} ${DOMUtils.escapeHtml(retirement.shareClass)}`
+                ).join(' and ');
+                const proceeds = stage.event.type === 'buyback'
+                    ? ` for ${currency}${NumberUtils.formatWithCommas(Math.round(stage.retirements.reduce((total, retirement) => total + retirement.proceeds, 0)))}`
+                    : '';
+                return `<li>${DOMUtils.escapeHtml(stage.stage)} (${stage.year}): ${retired} retired${proceeds}</li>`;
+            });
+        
+        if (items.length === 0) {
+            return '';
+        }
+        
+        return `
+            <div class="col-12">
+                <div class="alert alert-light border">
+                    <strong>Share events</strong>
+                    <ul class="mb-0">${items.join('')}</ul>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML for exit revenue, the implied revenue growth and an overpriced exit multiple
+     */
+    generateExitRevenueHTML(currency) {
+        const metrics = this.returnsData.revenueMetrics;
+        if (metrics.exitRevenue <= 0) {
+            return '';
+        }
+        
+        const growth = metrics.impliedRevenueGrowth !== null
+            ? `, implying ${metrics.impliedRevenueGrowth.toFixed(1)}% annual growth from ${currency}${NumberUtils.formatWithCommas(metrics.lastRoundRevenue)} at the ${metrics.lastRound} round in ${metrics.lastRoundYear}`
+            : '';
+        const warning = metrics.highestRoundMultiple !== null &&
+            metrics.exitRevenueMultiple > metrics.highestRoundMultiple * CONFIG.EXIT_REVENUE.MULTIPLE_WARNING_RATIO
+            ? `<div class="alert alert-warning"><i class="bi bi-exclamation-triangle"></i> The exit multiple of ${metrics.exitRevenueMultiple.toFixed(1)}x is more than ${CONFIG.EXIT_REVENUE.MULTIPLE_WARNING_RATIO}x the highest round multiple of ${metrics.highestRoundMultiple.toFixed(1)}x</div>`
+            : '';
+        
+        return `
+            <p class="mb-2"><strong>Exit revenue:</strong> ${currency}${NumberUtils.formatWithCommas(metrics.exitRevenue)} at ${metrics.exitRevenueMultiple.toFixed(1)}x${growth}</p>
+            ${warning}
+        `;
+    }
+
+    /**
+     * Generate HTML for returns by named investor
+     */
+    generateInvestorReturnsHTML(currency) {
+        const rows = this.returnsData.investorReturns.map(investor => {
+            const irrClass = investor.irr === null ? 'text-muted' : investor.irr >= 20 ? 'text-success' : investor.irr >= 10 ? 'text-warning' : 'text-danger';
+            const multipleClass = investor.multipleOfMoney >= 3 ? 'text-success' : investor.multipleOfMoney >= 2 ? 'text-warning' : 'text-danger';
+            
+            return `
+                <tr>
+                    <td><strong>${DOMUtils.escapeHtml(investor.name)}</strong><br><small class="text-muted">${investor.rounds.join(', ')}</small></td>
+                    <td>${currency}${NumberUtils.formatWithCommas(investor.investment)}</td>
+                    <td>${currency}${NumberUtils.formatWithCommas(Math.round(investor.exitValue))}</td>
+                    <td>${investor.saleProceeds > 0 ? currency + NumberUtils.formatWithCommas(Math.round(investor.saleProceeds)) : '-'}</td>
+                    <td class="${multipleClass}">${investor.multipleOfMoney.toFixed(1)}x</td>
+                    <td class="${irrClass}">${NumberUtils.formatIRR(investor.irr)}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        return `
+            <h6 class="mt-4">Returns by Investor</h6>
+            <div class="table-responsive">
+                <table class="table table-sm table-striped">
+                    <thead>
+                        <tr>
+                            <th>Investor</th>
+                            <th>Invested</th>
+                            <th>Exit Value</th>
+                            <th>Sold Before Exit</th>
+                            <th>MOIC</th>
+                            <th>IRR</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML for the value of each option grant at exit
+     */
+    generateOptionGrantsHTML(currency) {
+        if (this.returnsData.optionGrantReturns.length === 0) {
+            return '';
+        }
+        
+        const statusLabel = status => CONFIG.OPTION_GRANT_STATUSES.find(option => option.value === status)?.label || status;
+        
+        const rows = this.returnsData.optionGrantReturns.map(grant => `
+            <tr>
+                <td><strong>${DOMUtils.escapeHtml(grant.grantee)}</strong><br><small class="text-muted">${grant.date}</small></td>
+                <td>${statusLabel(grant.status)}</td>
+                <td>${NumberUtils.formatWithCommas(grant.options)}</td>
+                <td>${currency}${grant.strikePrice.toFixed(2)}</td>
+                <td>${NumberUtils.formatWithCommas(grant.vestedOptions + grant.acceleratedOptions)}${grant.acceleratedOptions > 0 ? `<br><small class="text-muted">${NumberUtils.formatWithCommas(grant.acceleratedOptions)} accelerated</small>` : ''}</td>
+                <td>${currency}${NumberUtils.formatWithCommas(Math.round(grant.entitledProceeds))}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <h6 class="mt-4">Option Grants at Exit</h6>
+            <div class="table-responsive">
+                <table class="table table-sm table-striped">
+                    <thead>
+                        <tr>
+                            <th>Grantee</th>
+                            <th>Status</th>
+                            <th>Options</th>
+                            <th>Strike</th>
+                            <th>Vested</th>
+                            <th>Value</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML for warrants exercised or expiring at exit
+     */
+    generateWarrantsHTML(currency) {
+        if (this.returnsData.warrantReturns.length === 0) {
+            return '';
+        }
+        
+        const statusLabels = {
+            cash: 'Cash exercise',
+            net: 'Net exercise',
+            expired: 'Expired out of the money'
+        };
+        
+        const rows = this.returnsData.warrantReturns.map(warrant => `
+            <tr>
+                <td><strong>${DOMUtils.escapeHtml(warrant.holder)}</strong><br><small class="text-muted">${DOMUtils.escapeHtml(warrant.shareClass)}, expires ${warrant.expiryDate}</small></td>
+                <td>${NumberUtils.formatWithCommas(warrant.shares)}</td>
+                <td>${currency}${warrant.exercisePrice.toFixed(2)}</td>
+                <td>${statusLabels[warrant.status]}</td>
+                <td>${NumberUtils.formatWithCommas(warrant.sharesIssued)}</td>
+                <td>${currency}${NumberUtils.formatWithCommas(Math.round(warrant.netProceeds))}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <h6 class="mt-4">Warrants at Exit</h6>
+            <div class="table-responsive">
+                <table class="table table-sm table-striped">
+                    <thead>
+                        <tr>
+                            <th>Holder</th>
+                            <th>Shares</th>
+                            <th>Exercise Price</th>
+                            <th>Treatment</th>
+                            <th>Shares Issued</th>
+                            <th>Net Proceeds</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML for each named investor's ownership by stage
+     */
+    generateInvestorOwnershipHTML() {
+        const stages = this.capTableData.slice(1);
+        const names = this.returnsData.investorReturns.map(investor => investor.name);
+        
+        const rows = names.map(name => {
+            const cells = stages.map(stage => {
+                const holding = stage.investorHoldings.find(h => h.name === name);
+                return `<td>${holding ? holding.ownership.toFixed(1) + '%' : '-'}</td>`;
+            }).join('');
+            return `<tr><td><strong>${DOMUtils.escapeHtml(name)}</strong></td>${cells}</tr>`;
+        }).join('');
+        
+        return `
+            <h6 class="mt-4">Investor Ownership by Stage</h6>
+            <div class="table-responsive">
+                <table class="table table-sm">
+                    <thead>
+                        <tr>
+                            <th>Investor</th>
+                            ${stages.map(stage => `<th>${DOMUtils.escapeHtml(stage.stage)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Describe a class's participation, including any cap
+     */
+    formatParticipation(breakpoint) {
+        if (!breakpoint.participating) return 'Non-participating';
+        return breakpoint.participationCap !== null ? `Participating, capped at ${breakpoint.participationCap}x` : 'Participating';
+    }
+
+    /**
+     * Generate HTML for the exit values at which each preferred class's terms take effect
+     */
+    generateBreakpointsHTML(currency) {
+        const breakpoints = this.returnsData.conversionBreakpoints;
+        if (breakpoints.length === 0) {
+            return '';
+        }
+        
+        const formatValue = value => `${currency}${NumberUtils.formatWithCommas(Math.round(value))}`;
+        const allCoveredAt = Math.max(...breakpoints.map(breakpoint => breakpoint.preferenceCoveredAt || 0));
+        
+        const rows = breakpoints.map(breakpoint => `
+            <tr>
+                <td><strong>${DOMUtils.escapeHtml(breakpoint.shareClass)}</strong><br><small class="text-muted">${this.formatParticipation(breakpoint)}</small></td>
+                <td>${formatValue(breakpoint.preferenceAmount)}</td>
+                <td>${breakpoint.ownershipPercent.toFixed(1)}%</td>
+                <td>${breakpoint.preferenceCoveredAt !== null ? formatValue(breakpoint.preferenceCoveredAt) : '-'}</td>
+                <td>${breakpoint.participationCap === null ? 'No cap' : breakpoint.participationCapAt !== null ? formatValue(breakpoint.participationCapAt) : '-'}</td>
+                <td>${breakpoint.conversionAt !== null ? formatValue(breakpoint.conversionAt) : 'Never'}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <h6 class="mt-4">Conversion Breakpoints</h6>
+            <p class="small text-muted">Common shareholders receive nothing until the exit value exceeds ${formatValue(allCoveredAt)}. Headline ownership only holds once every non-participating or capped class has converted.</p>
+            <div class="table-responsive">
+                <table class="table table-sm">
+                    <thead>
+                        <tr>
+                            <th>Class</th>
+                            <th>Preference</th>
+                            <th>Headline %</th>
+                            <th>Preference Covered At</th>
+                            <th>Cap Reached At</th>
+                            <th>Converts Above</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML for the liquidation waterfall steps
+     */
+    generateWaterfallHTML(currency) {
+        const stepLabels = {
+            preference: 'Preference',
+            dividend: 'Dividend',
+            participation: 'Participation',
+            conversion: 'As converted',
+            common: 'Common'
+        };
+        
+        const rows = this.returnsData.liquidationWaterfall.map(step => `
+            <tr>
+                <td>${step.step}</td>
+                <td>${DOMUtils.escapeHtml(step.recipient)}</td>
+                <td>${stepLabels[step.type] || step.type}</td>
+                <td>${currency}${NumberUtils.formatWithCommas(Math.round(step.amount))}</td>
+                <td>${currency}${NumberUtils.formatWithCommas(Math.max(0, Math.round(step.remaining)))}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <h6 class="mt-4">Liquidation Waterfall</h6>
+            <div class="table-responsive">
+                <table class="table table-sm">
+                    <thead>
+                        <tr>
+                            <th>Step</th>
+                            <th>Recipient</th>
+                            <th>Type</th>
+                            <th>Amount</th>
+                            <th>Remaining</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
     /**
      * Update charts
      */
@@ -537,6 +2570,7 @@ class CapTableApp {
         try {
             this.updateOwnershipChart();
             this.updateValuationChart();
+            this.updateExitSweepChart();
         } catch (error) {
             console.error('Failed to update charts:', error);
         }
@@ -555,29 +2589,63 @@ class CapTableApp {
         }
 
         const labels = this.capTableData.map(stage => stage.stage);
-        const foundersData = this.capTableData.map(stage => stage.founderOwnership);
-        const esopData = this.capTableData.map(stage => stage.optionPoolOwnership);
+        const founderDatasets = this.capTableData[0].founderHoldings.map((holding, i) => {
+            const color = CONFIG.UI.FOUNDER_COLORS[i % CONFIG.UI.FOUNDER_COLORS.length];
+            return {
+                label: holding.name,
+                data: this.capTableData.map(stage => {
+                    const stageHolding = stage.founderHoldings.find(h => h.name === holding.name);
+                    return stageHolding ? stageHolding.ownership : 0;
+                }),
+                backgroundColor: color,
+                borderColor: color,
+                borderWidth: 1
+            };
+        });
+        // Split the pool into granted and available options once there is a grant ledger
+        const esopDatasets = this.company.optionGrants.length > 0 ? [
+            {
+                label: 'ESOP Granted',
+                data: this.capTableData.map(stage => stage.grantedOptionOwnership),
+                backgroundColor: '#28a745',
+                borderColor: '#1e7e34',
+                borderWidth: 1
+            },
+            {
+                label: 'ESOP Available',
+                data: this.capTableData.map(stage => stage.availableOptionOwnership),
+                backgroundColor: '#8fd19e',
+                borderColor: '#28a745',
+                borderWidth: 1
+            }
+        ] : [
+            {
+                label: 'ESOP',
+                data: this.capTableData.map(stage => stage.optionPoolOwnership),
+                backgroundColor: '#28a745',
+                borderColor: '#1e7e34',
+                borderWidth: 1
+            }
+        ];
         const investorsData = this.capTableData.map(stage => stage.investorOwnership);
+        const warrantDatasets = this.capTableData.some(stage => stage.warrantShares > 0) ? [
+            {
+                label: 'Warrants',
+                data: this.capTableData.map(stage => stage.warrantOwnership),
+                backgroundColor: '#ffc107',
+                borderColor: '#d39e00',
+                borderWidth: 1
+            }
+        ] : [];
 
         this.charts.ownership = new Chart(ctx, {
             type: 'bar',
             data: {
                 labels: labels,
                 datasets: [
-                    {
-                        label: 'Founders',
-                        data: foundersData,
-                        backgroundColor: '#007bff',
-                        borderColor: '#0056b3',
-                        borderWidth: 1
-                    },
-                    {
-                        label: 'ESOP',
-                        data: esopData,
-                        backgroundColor: '#28a745',
-                        borderColor: '#1e7e34',
-                        borderWidth: 1
-                    },
+                    ...founderDatasets,
+                    ...esopDatasets,
+                    ...warrantDatasets,
                     {
                         label: 'Investors',
                         data: investorsData,
@@ -638,33 +2706,151 @@ class CapTableApp {
         
         // Add exit valuation
         labels.push('Exit');
-        valuationData.push(this.company.exitValuation);
+        valuationData.push(this.returnsData.exitValuation);
 
         this.charts.valuation = new Chart(ctx, {
             type: 'line',
             data: {
                 labels: labels,
-                datasets: [{
-                    label: 'Valuation',
-                    data: valuationData,
-                    borderColor: '#007bff',
-                    backgroundColor: 'rgba(0, 123, 255, 0.1)',
-                    borderWidth: 3,
-                    fill: true,
-                    tension: 0.4
-                }]
+                datasets: [{
+                    label: 'Valuation',
+                    data: valuationData,
+                    borderColor: '#007bff',
+                    backgroundColor: 'rgba(0, 123, 255, 0.1)',
+                    borderWidth: 3,
+                    fill: true,
+                    tension: 0.4
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            callback: function(value) {
+                                return NumberUtils.formatWithCommas(value);
+                            }
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        position: 'top'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                const currency = window.capTableApp?.company?.getCurrencySymbol() || '£';
+                                return 'Valuation: ' + currency + NumberUtils.formatWithCommas(context.parsed.y);
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Update exit value sweep chart
+     */
+    updateExitSweepChart() {
+        const ctx = document.getElementById('exitSweepChart');
+        if (!ctx) return;
+
+        // Destroy existing chart
+        if (this.charts.exitSweep) {
+            this.charts.exitSweep.destroy();
+        }
+
+        const sweep = CapTableCalculator.calculateExitSweep(this.capTableData, this.company);
+        const currency = this.company.getCurrencySymbol();
+        const labels = sweep.map(point => currency + NumberUtils.formatWithCommas(Math.round(point.exitValue)));
+        const lineDataset = (label, data, color, options = {}) => ({
+            label: label,
+            data: data,
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 2,
+            pointRadius: 0,
+            fill: false,
+            tension: 0,
+            ...options
+        });
+
+        const founderDatasets = sweep[0].founderPayouts.map((payout, i) => lineDataset(
+            payout.name,
+            sweep.map(point => point.founderPayouts[i].proceeds),
+            CONFIG.UI.FOUNDER_COLORS[i % CONFIG.UI.FOUNDER_COLORS.length]
+        ));
+        const warrantDatasets = this.company.warrants.length > 0 ? [
+            lineDataset('Warrants', sweep.map(point => point.warrantReturn), '#ffc107')
+        ] : [];
+        // Each round's proceeds on the left axis and its multiple, dashed, on the right
+        const roundDatasets = sweep[0].roundReturns.flatMap((roundReturn, i) => {
+            const color = CONFIG.UI.ROUND_COLORS[i % CONFIG.UI.ROUND_COLORS.length];
+            return [
+                lineDataset(roundReturn.round, sweep.map(point => point.roundReturns[i].exitValue), color),
+                lineDataset(`${roundReturn.round} MOIC`, sweep.map(point => point.roundReturns[i].multipleOfMoney), color, {
+                    borderDash: [6, 4],
+                    yAxisID: 'multiple'
+                })
+            ];
+        });
+
+        this.charts.exitSweep = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: [
+                    ...founderDatasets,
+                    lineDataset('ESOP', sweep.map(point => point.esopReturn), '#28a745'),
+                    ...warrantDatasets,
+                    ...roundDatasets
+                ]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
                 scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Exit Value'
+                        }
+                    },
                     y: {
                         beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Proceeds'
+                        },
                         ticks: {
                             callback: function(value) {
                                 return NumberUtils.formatWithCommas(value);
                             }
                         }
+                    },
+                    multiple: {
+                        position: 'right',
+                        beginAtZero: true,
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        title: {
+                            display: true,
+                            text: 'MOIC'
+                        },
+                        ticks: {
+                            callback: function(value) {
+                                return value + 'x';
+                            }
+                        }
                     }
                 },
                 plugins: {
@@ -674,8 +2860,10 @@ class CapTableApp {
                     tooltip: {
                         callbacks: {
                             label: function(context) {
-                                const currency = window.capTableApp?.company?.getCurrencySymbol() || '£';
-                                return 'Valuation: ' + currency + NumberUtils.formatWithCommas(context.parsed.y);
+                                if (context.dataset.yAxisID === 'multiple') {
+                                    return context.dataset.label + ': ' + context.parsed.y.toFixed(1) + 'x';
+                                }
+                                return context.dataset.label + ': ' + currency + NumberUtils.formatWithCommas(Math.round(context.parsed.y));
                             }
                         }
                     }
@@ -690,71 +2878,529 @@ class CapTableApp {
     updateSensitivityAnalysis() {
         try {
             const container = DOMUtils.getElement('sensitivityAnalysis');
-            const currency = this.company.getCurrencySymbol();
             
             if (this.company.rounds.length === 0) {
                 container.innerHTML = '<p class="text-muted text-center">No funding rounds to analyze</p>';
                 return;
             }
             
-            // Use the last round for sensitivity analysis
-            const lastRoundIndex = this.company.rounds.length - 1;
-            const scenarios = CapTableCalculator.calculateSensitivityScenarios(this.company, lastRoundIndex);
+            // Offer every round, keeping the current choice and defaulting to the last round
+            const roundSelect = DOMUtils.getElement('sensitivityRound');
+            const selectedRound = parseInt(roundSelect.value, 10);
+            const roundIndex = selectedRound >= 0 && selectedRound < this.company.rounds.length
+                ? selectedRound
+                : this.company.rounds.length - 1;
+            roundSelect.innerHTML = this.company.rounds.map((round, index) => 
+                `<option value="${index}" ${index === roundIndex ? 'selected' : ''}>${round.type} (${round.year})</option>`
+            ).join('');
             
-            let tableHTML = `
-                <p class="mb-3"><strong>Scenario Analysis for ${this.company.rounds[lastRoundIndex].type} Round</strong></p>
+            const rowVariable = DOMUtils.getValue('sensitivityRowVariable', CONFIG.SENSITIVITY.DEFAULT_ROW_VARIABLE);
+            const columnVariable = DOMUtils.getValue('sensitivityColumnVariable', 'none');
+            const rowSteps = this.collectSensitivitySteps('sensitivityRowSteps');
+            
+            if (columnVariable === 'none') {
+                container.innerHTML = this.generateSensitivityScenariosHTML(roundIndex, rowVariable, rowSteps);
+            } else {
+                container.innerHTML = this.generateSensitivityGridHTML(
+                    roundIndex,
+                    rowVariable,
+                    rowSteps,
+                    columnVariable,
+                    this.collectSensitivitySteps('sensitivityColumnSteps'),
+                    DOMUtils.getValue('sensitivityMetric', CONFIG.SENSITIVITY.METRICS[0].value)
+                );
+            }
+            
+        } catch (error) {
+            console.error('Failed to update sensitivity analysis:', error);
+            const container = DOMUtils.getElement('sensitivityAnalysis');
+            container.innerHTML = `<p class="text-danger">Error calculating sensitivity analysis: ${DOMUtils.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Format a sensitivity variable's value for display
+     */
+    formatSensitivityValue(variable, value) {
+        if (value === null) return 'n/a';
+        if (variable === 'exitYear') return `${value}`;
+        if (variable === 'optionPoolPercent') return `${value}%`;
+        return `${this.company.getCurrencySymbol()}${NumberUtils.formatWithCommas(Math.round(value))}`;
+    }
+
+    /**
+     * Generate HTML for scenarios varying one variable
+     */
+    generateSensitivityScenariosHTML(roundIndex, variable, steps) {
+        const currency = this.company.getCurrencySymbol();
+        const variableLabel = CONFIG.SENSITIVITY.VARIABLES.find(option => option.value === variable).label;
+        const scenarios = CapTableCalculator.calculateSensitivityScenarios(this.company, roundIndex, variable, steps);
+        
+        const rows = scenarios.map(scenario => {
+            if (scenario.error) {
+                return `
+                    <tr class="table-danger">
+                        <td>${scenario.label}</td>
+                        <td colspan="5">Error: ${DOMUtils.escapeHtml(scenario.error)}</td>
+                    </tr>
+                `;
+            }
+            
+            if (scenario.notApplicable) {
+                return `
+                    <tr class="text-muted">
+                        <td>${scenario.label}</td>
+                        <td colspan="5">Not applicable: this step does not change the round</td>
+                    </tr>
+                `;
+            }
+            
+            const irrClass = scenario.roundIRR === null ? 'text-muted' : scenario.roundIRR >= 20 ? 'text-success' : scenario.roundIRR >= 10 ? 'text-warning' : 'text-danger';
+            const multipleClass = scenario.roundMultiple >= 3 ? 'text-success' : scenario.roundMultiple >= 2 ? 'text-warning' : 'text-danger';
+            
+            return `
+                <tr class="${scenario.step === 0 ? 'fw-bold' : ''}">
+                    <td><strong>${scenario.label}</strong></td>
+                    <td>${this.formatSensitivityValue(variable, scenario.value)}</td>
+                    <td>${currency}${NumberUtils.formatWithCommas(Math.round(scenario.founderReturn))}</td>
+                    <td>${currency}${NumberUtils.formatWithCommas(Math.round(scenario.esopReturn))}</td>
+                    <td class="${multipleClass}">${scenario.roundMultiple.toFixed(1)}x</td>
+                    <td class="${irrClass}">${NumberUtils.formatIRR(scenario.roundIRR)}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        return `
+            <p class="mb-3"><strong>Scenario Analysis for ${this.company.rounds[roundIndex].type} Round</strong></p>
+            <div class="table-responsive">
+                <table class="table table-sm">
+                    <thead>
+                        <tr>
+                            <th>Scenario</th>
+                            <th>${variableLabel}</th>
+                            <th>Founder Return</th>
+                            <th>ESOP Return</th>
+                            <th>Round Multiple</th>
+                            <th>Round IRR</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML for a colour-coded grid varying two variables
+     * Round IRR is coloured against fixed thresholds; founder proceeds by where they fall in the grid's range
+     */
+    generateSensitivityGridHTML(roundIndex, rowVariable, rowSteps, columnVariable, columnSteps, metric) {
+        const currency = this.company.getCurrencySymbol();
+        const labelFor = variable => CONFIG.SENSITIVITY.VARIABLES.find(option => option.value === variable).label;
+        const grid = CapTableCalculator.calculateSensitivityGrid(
+            this.company,
+            roundIndex,
+            rowVariable,
+            rowSteps,
+            columnVariable,
+            columnSteps
+        );
+        
+        const values = grid.cells.flat()
+            .filter(cell => !cell.error && !cell.notApplicable && cell[metric] !== null)
+            .map(cell => cell[metric]);
+        const minValue = Math.min(...values);
+        const range = Math.max(...values) - minValue;
+        
+        const cellClass = value => {
+            if (value === null) return 'text-muted';
+            if (metric === 'roundIRR') {
+                return value >= 20 ? 'table-success' : value >= 10 ? 'table-warning' : 'table-danger';
+            }
+            const position = range > 0 ? (value - minValue) / range : 1;
+            return position >= 2 / 3 ? 'table-success' : position >= 1 / 3 ? 'table-warning' : 'table-danger';
+        };
+        const formatMetric = value => metric === 'roundIRR'
+            ? NumberUtils.formatIRR(value)
+            : `${currency}${NumberUtils.formatWithCommas(Math.round(value))}`;
+        
+        const headerCells = grid.columns.map(column => `
+            <th>${this.formatSensitivityValue(columnVariable, column.value)}<br><small class="text-muted">${column.label}</small></th>
+        `).join('');
+        const bodyRows = grid.rows.map((row, rowIndex) => `
+            <tr>
+                <th>${this.formatSensitivityValue(rowVariable, row.value)}<br><small class="text-muted">${row.label}</small></th>
+                ${grid.cells[rowIndex].map((cell, columnIndex) => cell.error || cell.notApplicable
+                    ? `<td class="text-muted" title="${DOMUtils.escapeHtml(cell.error || 'Not applicable: this step does not change the round')}">-</td>`
+                    : `<td class="${cellClass(cell[metric])} ${row.step === 0 && grid.columns[columnIndex].step === 0 ? 'fw-bold' : ''}">${formatMetric(cell[metric])}</td>`
+                ).join('')}
+            </tr>
+        `).join('');
+        
+        return `
+            <p class="mb-3"><strong>${CONFIG.SENSITIVITY.METRICS.find(option => option.value === metric).label} for ${this.company.rounds[roundIndex].type} Round</strong>
+                <br><small class="text-muted">${labelFor(rowVariable)} down, ${labelFor(columnVariable)} across</small></p>
+            <div class="table-responsive">
+                <table class="table table-sm table-bordered text-center">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            ${headerCells}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${bodyRows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Offer each priced round for goal seek, keeping the current choice and defaulting to the last round
+     */
+    updateGoalSeekRounds() {
+        const roundSelect = DOMUtils.getElement('goalSeekRound');
+        const selectedRound = parseInt(roundSelect.value, 10);
+        const pricedRounds = this.company.rounds
+            .map((round, index) => ({ round, index }))
+            .filter(({ round }) => !round.isConvertible());
+        const roundIndex = pricedRounds.some(({ index }) => index === selectedRound)
+            ? selectedRound
+            : (pricedRounds.length > 0 ? pricedRounds[pricedRounds.length - 1].index : -1);
+        
+        roundSelect.innerHTML = pricedRounds.map(({ round, index }) => 
+            `<option value="${index}" ${index === roundIndex ? 'selected' : ''}>${round.type} (${round.year})</option>`
+        ).join('');
+    }
+
+    /**
+     * Format a goal seek target or input value in its unit
+     */
+    formatGoalSeekValue(unit, value) {
+        if (value === null) return 'None';
+        if (unit === 'percent') return `${value.toFixed(2)}%`;
+        if (unit === 'price') return `${this.company.getCurrencySymbol()}${value.toFixed(4)}`;
+        return `${this.company.getCurrencySymbol()}${NumberUtils.formatWithCommas(Math.round(value))}`;
+    }
+
+    /**
+     * Solve the chosen round input for the goal seek target and show the result
+     */
+    solveGoalSeek() {
+        const container = DOMUtils.getElement('goalSeekResult');
+        
+        try {
+            if (!this.capTableData) {
+                this.showAlert('Please calculate the cap table first', 'warning');
+                return;
+            }
+            
+            const roundIndex = parseInt(DOMUtils.getValue('goalSeekRound'), 10);
+            if (isNaN(roundIndex)) {
+                container.innerHTML = '<p class="text-muted text-center">No priced rounds to solve</p>';
+                return;
+            }
+            
+            const target = DOMUtils.getValue('goalSeekTarget');
+            const targetValue = Validator.validateNumber(DOMUtils.getNumericValue('goalSeekValue', NaN), 'Goal Seek Value', 0);
+            const input = DOMUtils.getValue('goalSeekInput');
+            const targetOption = CONFIG.GOAL_SEEK.TARGETS.find(option => option.value === target);
+            const inputOption = CONFIG.GOAL_SEEK.INPUTS.find(option => option.value === input);
+            
+            const result = CapTableCalculator.solveRoundGoal(this.company, roundIndex, target, targetValue, input);
+            this.goalSeekResult = result;
+            
+            container.innerHTML = `
                 <div class="table-responsive">
                     <table class="table table-sm">
                         <thead>
                             <tr>
-                                <th>Scenario</th>
-                                <th>Pre-Money</th>
-                                <th>Founder Return</th>
-                                <th>ESOP Return</th>
-                                <th>Round Multiple</th>
-                                <th>Round IRR</th>
+                                <th></th>
+                                <th>${inputOption.label}</th>
+                                <th>${targetOption.label}</th>
                             </tr>
                         </thead>
                         <tbody>
+                            <tr>
+                                <td>Current ${result.round}</td>
+                                <td>${this.formatGoalSeekValue(inputOption.unit, result.currentValue)}</td>
+                                <td>${this.formatGoalSeekValue(targetOption.unit, result.currentOutput)}</td>
+                            </tr>
+                            <tr class="fw-bold">
+                                <td>Solved</td>
+                                <td>${this.formatGoalSeekValue(inputOption.unit, result.value)}</td>
+                                <td>${this.formatGoalSeekValue(targetOption.unit, result.achieved)}</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+                <button class="btn btn-sm btn-outline-primary" onclick="applyGoalSeek()">
+                    <i class="bi bi-box-arrow-in-left"></i> Apply to ${result.round} Round
+                </button>
             `;
             
-            scenarios.forEach(scenario => {
-                if (scenario.error) {
-                    tableHTML += `
-                        <tr class="table-danger">
-                            <td>${scenario.label}</td>
-                            <td colspan="5">Error: ${scenario.error}</td>
-                        </tr>
-                    `;
-                } else {
-                    const irrClass = scenario.roundIRR >= 20 ? 'text-success' : scenario.roundIRR >= 10 ? 'text-warning' : 'text-danger';
-                    const multipleClass = scenario.roundMultiple >= 3 ? 'text-success' : scenario.roundMultiple >= 2 ? 'text-warning' : 'text-danger';
-                    
-                    tableHTML += `
-                        <tr class="${scenario.class}">
-                            <td><strong>${scenario.label}</strong></td>
-                            <td>${currency}${NumberUtils.formatWithCommas(scenario.preMoneyValuation)}</td>
-                            <td>${currency}${NumberUtils.formatWithCommas(scenario.founderReturn)}</td>
-                            <td>${currency}${NumberUtils.formatWithCommas(scenario.esopReturn)}</td>
-                            <td class="${multipleClass}">${scenario.roundMultiple.toFixed(1)}x</td>
-                            <td class="${irrClass}">${scenario.roundIRR.toFixed(1)}%</td>
+        } catch (error) {
+            this.goalSeekResult = null;
+            console.error('Failed to solve goal seek:', error);
+            container.innerHTML = `<p class="text-danger">${DOMUtils.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Write the solved goal seek value into its round's form and recalculate
+     */
+    applyGoalSeek() {
+        try {
+            const result = this.goalSeekResult;
+            if (!result || !document.getElementById(`round_${result.roundId}`)) {
+                this.showAlert('Solve a goal seek first', 'warning');
+                return;
+            }
+            
+            const roundId = result.roundId;
+            switch (result.input) {
+                case 'preMoneyValuation':
+                    DOMUtils.setValue(`preMoneyValuation_${roundId}`, NumberUtils.formatWithCommas(result.value));
+                    break;
+                case 'investment': {
+                    // Named investors and tranches scale with the round so their amounts still add up
+                    const investorFields = [...Array(this.investorCounts[roundId] || 0).keys()]
+                        .map(i => `investorAmount_${roundId}_${i}`);
+                    const trancheFields = [...Array(this.trancheCounts[roundId] || 0).keys()]
+                        .map(i => `trancheAmount_${roundId}_${i}`);
+                    this.scaleAmountFields(investorFields, result.value);
+                    this.scaleAmountFields(trancheFields, result.value);
+                    DOMUtils.setValue(`investment_${roundId}`, NumberUtils.formatWithCommas(result.value));
+                    break;
+                }
+                case 'optionPoolTarget':
+                    DOMUtils.setValue(`optionPoolTarget_${roundId}`, result.value);
+                    break;
+                default:
+                    throw new DataError('goal_seek', `Unknown goal seek input: ${result.input}`);
+            }
+            
+            this.goalSeekResult = null;
+            this.calculateCapTable();
+            
+            // The solved table no longer matches the form, so replace it with what was applied
+            const inputOption = CONFIG.GOAL_SEEK.INPUTS.find(option => option.value === result.input);
+            DOMUtils.getElement('goalSeekResult').innerHTML = `
+                <p class="text-success mb-0"><i class="bi bi-check-circle"></i>
+                    Applied ${inputOption.label} of ${this.formatGoalSeekValue(inputOption.unit, result.value)} to the ${result.round} round</p>
+            `;
+            
+        } catch (error) {
+            ErrorHandler.handleError(error, { action: 'applyGoalSeek' });
+        }
+    }
+
+    /**
+     * Rescale filled amount fields to a new total, the last one taking any rounding difference
+     */
+    scaleAmountFields(fieldIds, newTotal) {
+        const filled = fieldIds.filter(fieldId => document.getElementById(fieldId) && DOMUtils.getNumericValue(fieldId) > 0);
+        const oldTotal = filled.reduce((total, fieldId) => total + DOMUtils.getNumericValue(fieldId), 0);
+        
+        let assigned = 0;
+        filled.forEach((fieldId, index) => {
+            const amount = index === filled.length - 1
+                ? newTotal - assigned
+                : Math.round(DOMUtils.getNumericValue(fieldId) * newTotal / oldTotal);
+            assigned += amount;
+            DOMUtils.setValue(fieldId, NumberUtils.formatWithCommas(amount));
+        });
+    }
+
+    /**
+     * Update the exit each round needs to reach the target return
+     */
+    updateRequiredExit() {
+        try {
+            const container = DOMUtils.getElement('requiredExitResults');
+            
+            if (this.company.rounds.length === 0) {
+                container.innerHTML = '<p class="text-muted text-center">No funding rounds to analyze</p>';
+                return;
+            }
+            
+            // Offer every round, keeping the current choice and defaulting to the last round
+            const roundSelect = DOMUtils.getElement('requiredExitRound');
+            const selectedRound = parseInt(roundSelect.value, 10);
+            const roundIndex = selectedRound >= 0 && selectedRound < this.company.rounds.length
+                ? selectedRound
+                : this.company.rounds.length - 1;
+            roundSelect.innerHTML = this.company.rounds.map((round, index) => 
+                `<option value="${index}" ${index === roundIndex ? 'selected' : ''}>${round.type} (${round.year})</option>`
+            ).join('');
+            
+            const metric = DOMUtils.getValue('requiredExitMetric', CONFIG.REQUIRED_EXIT.METRICS[0].value);
+            const metricLabel = CONFIG.REQUIRED_EXIT.METRICS.find(option => option.value === metric).label;
+            const targetValue = Validator.validateNumber(DOMUtils.getNumericValue('requiredExitTarget', NaN), 'Target Return');
+            const findLatestYear = DOMUtils.getCheckboxValue('requiredExitYear', false);
+            
+            const currency = this.company.getCurrencySymbol();
+            const formatValue = value => `${currency}${NumberUtils.formatWithCommas(Math.round(value))}`;
+            const formatMetric = value => metric === 'irr' ? NumberUtils.formatIRR(value) : `${value.toFixed(1)}x`;
+            const formatYear = year => year === null
+                ? 'Not reached'
+                : `${year}${year === CONFIG.VALIDATION.MAX_YEAR ? ' or later' : ''}`;
+            
+            const results = CapTableCalculator.calculateRequiredExits(
+                this.capTableData,
+                this.company,
+                metric,
+                targetValue,
+                findLatestYear
+            );
+            
+            // The hardest round needs the highest exit; one that cannot reach the target at all is hardest
+            const solved = results.filter(result => !result.error);
+            const hardest = solved.reduce((worst, result) => {
+                if (!worst) return result;
+                if (worst.requiredExitValuation === null) return worst;
+                return result.requiredExitValuation === null || result.requiredExitValuation > worst.requiredExitValuation
+                    ? result
+                    : worst;
+            }, null);
+            
+            const chosen = results[roundIndex];
+            let summary;
+            if (chosen.error) {
+                summary = `<p class="text-danger">${DOMUtils.escapeHtml(chosen.error)}</p>`;
+            } else if (chosen.requiredExitValuation === null) {
+                summary = `<p><strong>${chosen.round}</strong> cannot reach ${formatMetric(targetValue)} ${metricLabel} at any exit valuation in ${this.company.exitYear}.</p>`;
+            } else {
+                summary = `
+                    <p><strong>${chosen.round}</strong> needs an exit of at least <strong>${formatValue(chosen.requiredExitValuation)}</strong>
+                        in ${this.company.exitYear} to reach ${formatMetric(targetValue)} ${metricLabel},
+                        ${(chosen.requiredExitValuation / chosen.exitValuation).toFixed(2)}x the current exit of ${formatValue(chosen.exitValuation)}.
+                        ${findLatestYear ? (chosen.latestExitYear !== null
+                            ? `At the current exit valuation the latest exit year that still reaches it is <strong>${formatYear(chosen.latestExitYear)}</strong>.`
+                            : 'The current exit valuation does not reach it in any year.') : ''}</p>
+                `;
+            }
+            
+            const rows = results.map(result => {
+                if (result.error) {
+                    return `
+                        <tr>
+                            <td><strong>${result.round}</strong><br><small class="text-muted">${result.year}</small></td>
+                            <td colspan="${findLatestYear ? 4 : 3}" class="text-danger">${DOMUtils.escapeHtml(result.error)}</td>
                         </tr>
                     `;
                 }
-            });
+                
+                return `
+                    <tr class="${result.roundIndex === roundIndex ? 'fw-bold' : ''}">
+                        <td><strong>${result.round}</strong><br><small class="text-muted">${result.year}</small>
+                            ${result === hardest ? '<span class="badge bg-danger ms-1">Hardest</span>' : ''}</td>
+                        <td class="${result.currentValue >= targetValue ? 'text-success' : 'text-danger'}">${formatMetric(result.currentValue)}</td>
+                        <td>${result.requiredExitValuation !== null ? formatValue(result.requiredExitValuation) : 'Not reachable'}</td>
+                        <td>${result.requiredExitValuation !== null ? (result.requiredExitValuation / result.exitValuation).toFixed(2) + 'x' : '-'}</td>
+                        ${findLatestYear ? `<td>${formatYear(result.latestExitYear)}</td>` : ''}
+                    </tr>
+                `;
+            }).join('');
             
-            tableHTML += `
+            container.innerHTML = `
+                ${summary}
+                <div class="table-responsive">
+                    <table class="table table-sm">
+                        <thead>
+                            <tr>
+                                <th>Round</th>
+                                <th>Current ${metricLabel}</th>
+                                <th>Required Exit</th>
+                                <th>vs Current Exit</th>
+                                ${findLatestYear ? '<th>Latest Exit Year</th>' : ''}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows}
                         </tbody>
                     </table>
                 </div>
             `;
             
-            container.innerHTML = tableHTML;
+        } catch (error) {
+            console.error('Failed to update required exit:', error);
+            const container = DOMUtils.getElement('requiredExitResults');
+            container.innerHTML = `<p class="text-danger">Error calculating required exit: ${DOMUtils.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Update Monte Carlo simulation results
+     */
+    updateMonteCarloAnalysis() {
+        try {
+            DOMUtils.toggleElement('monteCarloCard', this.simulationData !== null);
+            if (!this.simulationData) return;
+            
+            const container = DOMUtils.getElement('monteCarloResults');
+            const currency = this.company.getCurrencySymbol();
+            const simulation = this.simulationData;
+            const formatValue = value => `${currency}${NumberUtils.formatWithCommas(Math.round(value))}`;
+            const formatMultiple = value => `${value.toFixed(1)}x`;
+            const percentileHeaders = CONFIG.MONTE_CARLO.PERCENTILES.map(percentile => `<th>P${percentile}</th>`).join('');
+            
+            const summaryRow = (label, summary, format) => `
+                <tr>
+                    <td><strong>${label}</strong></td>
+                    <td>${format(summary.mean)}</td>
+                    ${summary.percentiles.map(point => `<td>${format(point.value)}</td>`).join('')}
+                    <td class="${summary.probabilityOfLoss >= 50 ? 'text-danger' : ''}">${summary.probabilityOfLoss.toFixed(1)}%</td>
+                </tr>
+            `;
+            const summaryTable = (rows, lossLabel) => `
+                <div class="table-responsive">
+                    <table class="table table-sm">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                <th>Mean</th>
+                                ${percentileHeaders}
+                                <th>${lossLabel}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+            
+            // Rounds raised after some of the simulated exits only count the trials they took part in
+            const simulatedRounds = simulation.rounds.filter(round => round.trials > 0);
+            const roundLabel = round => round.trials < simulation.trials
+                ? `${round.round}<br><small class="text-muted">${NumberUtils.formatWithCommas(round.trials)} trials</small>`
+                : round.round;
+            
+            const proceedsRows = [
+                summaryRow('Exit Valuation', simulation.exitValuation, formatValue),
+                summaryRow('Founders', simulation.founders, formatValue),
+                summaryRow('ESOP', simulation.esop, formatValue),
+                simulation.warrants ? summaryRow('Warrants', simulation.warrants, formatValue) : '',
+                ...simulatedRounds.map(round => summaryRow(roundLabel(round), round.proceeds, formatValue))
+            ].join('');
+            const multipleRows = simulatedRounds.map(round => summaryRow(roundLabel(round), round.multipleOfMoney, formatMultiple)).join('');
+            
+            container.innerHTML = `
+                <p class="mb-3"><strong>${NumberUtils.formatWithCommas(simulation.trials)} trials</strong> <small class="text-muted">(seed ${simulation.seed})</small></p>
+                <h6>Proceeds</h6>
+                ${summaryTable(proceedsRows, 'P(Loss)')}
+                <p class="small text-muted">For the exit valuation, founders, ESOP and warrants a loss is an exit that pays nothing; for rounds it is getting back less than was invested.</p>
+                ${simulatedRounds.length > 0 ? `<h6 class="mt-4">Round Multiples</h6>${summaryTable(multipleRows, 'P(< 1x)')}` : ''}
+            `;
             
         } catch (error) {
-            console.error('Failed to update sensitivity analysis:', error);
-            const container = DOMUtils.getElement('sensitivityAnalysis');
-            container.innerHTML = '<p class="text-danger">Error calculating sensitivity analysis</p>';
+            console.error('Failed to update Monte Carlo simulation:', error);
+            const container = DOMUtils.getElement('monteCarloResults');
+            container.innerHTML = '<p class="text-danger">Error running Monte Carlo simulation</p>';
         }
     }
 
@@ -845,7 +3491,11 @@ class CapTableApp {
         const panels = {
             'keyMetrics': '<div class="col-12"><p class="text-muted text-center">Click "Calculate" to see key metrics</p></div>',
             'returnsTable': '<p class="text-muted text-center">Click "Calculate" to see returns analysis</p>',
-            'sensitivityAnalysis': '<p class="text-muted text-center">Click "Calculate" to see sensitivity analysis</p>'
+            'shareClassTable': '<p class="text-muted text-center">Click "Calculate" to see share classes</p>',
+            'dilutionTable': '<p class="text-muted text-center">Click "Calculate" to see dilution by cause</p>',
+            'sensitivityAnalysis': '<p class="text-muted text-center">Click "Calculate" to see sensitivity analysis</p>',
+            'goalSeekResult': '<p class="text-muted text-center">Calculate, then choose a target and the round input to solve for</p>',
+            'requiredExitResults': '<p class="text-muted text-center">Click "Calculate" to see the exit each round needs</p>'
         };
 
         Object.entries(panels).forEach(([id, content]) => {
@@ -864,8 +3514,13 @@ class CapTableApp {
             this.charts.valuation.destroy();
             this.charts.valuation = null;
         }
+        if (this.charts.exitSweep) {
+            this.charts.exitSweep.destroy();
+            this.charts.exitSweep = null;
+        }
 
-        // Hide UK tax card
+        // Hide Monte Carlo and UK tax cards
+        DOMUtils.toggleElement('monteCarloCard', false);
         DOMUtils.toggleElement('ukTaxCard', false);
     }
 
@@ -891,52 +3546,341 @@ class CapTableApp {
             
             // Cap Table Evolution
             csvData.push(['Cap Table Evolution']);
-            csvData.push(['Stage', 'Year', 'Founder %', 'ESOP %', 'Investor %', 'Total Shares', 'Valuation']);
+            csvData.push(['Stage', 'Year', 'Founder %', 'Vested Founder %', 'ESOP %', 'ESOP Granted %', 'ESOP Available %', 'Warrant %', 'Investor %', 'Total Shares', 'Unvested Founder Shares', 'Conversion Shares', 'Anti-Dilution Shares', 'Pool Top-Up Shares', 'Valuation', 'Effective Pre-Money']);
             
             this.capTableData.forEach(stage => {
                 csvData.push([
                     stage.stage,
                     stage.year,
                     stage.founderOwnership.toFixed(1) + '%',
+                    stage.vestedFounderOwnership.toFixed(1) + '%',
                     stage.optionPoolOwnership.toFixed(1) + '%',
+                    stage.grantedOptionOwnership.toFixed(1) + '%',
+                    stage.availableOptionOwnership.toFixed(1) + '%',
+                    stage.warrantOwnership.toFixed(1) + '%',
                     stage.investorOwnership.toFixed(1) + '%',
                     NumberUtils.formatWithCommas(stage.totalShares),
-                    stage.postMoneyValuation > 0 ? currency + NumberUtils.formatWithCommas(stage.postMoneyValuation) : 'N/A'
+                    NumberUtils.formatWithCommas(stage.unvestedFounderShares),
+                    NumberUtils.formatWithCommas(stage.conversionShares),
+                    NumberUtils.formatWithCommas(stage.antiDilutionShares),
+                    NumberUtils.formatWithCommas(stage.optionPoolTopUpShares),
+                    stage.postMoneyValuation > 0 ? currency + NumberUtils.formatWithCommas(stage.postMoneyValuation) : 'N/A',
+                    stage.effectivePreMoneyValuation > 0 ? currency + NumberUtils.formatWithCommas(Math.round(stage.effectivePreMoneyValuation)) : 'N/A'
                 ]);
             });
             
             csvData.push([]);
             
+            // Share Classes
+            csvData.push(['Share Classes by Stage']);
+            csvData.push(['Stage', 'Year', 'Class', 'Shares', 'Ownership', 'Issue Price', 'Conversion Price', 'Price Per Share', 'Implied Valuation']);
+            
+            this.capTableData.forEach(stage => {
+                stage.shareClasses.forEach(shareClass => {
+                    csvData.push([
+                        stage.stage,
+                        stage.year,
+                        shareClass.name,
+                        NumberUtils.formatWithCommas(shareClass.shares),
+                        shareClass.ownership.toFixed(1) + '%',
+                        shareClass.issuePrice === null ? '-' : currency + shareClass.issuePrice.toFixed(4),
+                        shareClass.conversionPrice === null ? '-' : currency + shareClass.conversionPrice.toFixed(4),
+                        stage.pricePerShare > 0 ? currency + stage.pricePerShare.toFixed(4) : 'N/A',
+                        stage.pricePerShare > 0 ? currency + NumberUtils.formatWithCommas(Math.round(stage.impliedValuation)) : 'N/A'
+                    ]);
+                });
+            });
+            
+            csvData.push([]);
+            
+            // Dilution Attribution
+            csvData.push(['Dilution Attribution (percentage points)']);
+            csvData.push(['Stage', 'Year', 'Holder', 'Before', ...CONFIG.DILUTION_CAUSES.map(cause => cause.label), 'After']);
+            
+            this.dilutionData.forEach(stage => {
+                [
+                    { holder: 'Founders', before: stage.founderBefore, after: stage.founderAfter, change: 'founderChange' },
+                    { holder: 'ESOP', before: stage.esopBefore, after: stage.esopAfter, change: 'esopChange' }
+                ].forEach(row => {
+                    csvData.push([
+                        stage.stage,
+                        stage.year,
+                        row.holder,
+                        row.before.toFixed(2) + '%',
+                        ...stage.causes.map(cause => cause[row.change].toFixed(2)),
+                        row.after.toFixed(2) + '%'
+                    ]);
+                });
+            });
+            
+            csvData.push([]);
+            
             // Returns Analysis
             csvData.push(['Returns Analysis']);
-            csvData.push(['Round', 'Year', 'Investment', 'Years Held', 'Exit Value', 'Multiple', 'IRR', 'Revenue Multiple']);
+            csvData.push(['Round', 'Year', 'Investment', 'Years Held', 'Accrued Dividend', 'Dividend Paid', 'Exit Value', 'Multiple', 'IRR', 'Revenue Multiple']);
             
             this.returnsData.roundReturns.forEach(round => {
                 csvData.push([
                     round.round,
                     round.year,
                     currency + NumberUtils.formatWithCommas(round.investment),
-                    round.yearsHeld + ' years',
-                    currency + NumberUtils.formatWithCommas(round.exitValue),
+                    round.yearsHeld.toFixed(1) + ' years',
+                    currency + NumberUtils.formatWithCommas(Math.round(round.accruedDividend)),
+                    currency + NumberUtils.formatWithCommas(Math.round(round.dividendReturn)),
+                    currency + NumberUtils.formatWithCommas(Math.round(round.exitValue)),
                     round.multipleOfMoney.toFixed(1) + 'x',
-                    round.irr.toFixed(1) + '%',
+                    NumberUtils.formatIRR(round.irr),
                     round.revenueMultiple > 0 ? round.revenueMultiple.toFixed(1) + 'x' : 'N/A'
                 ]);
             });
             
+            csvData.push([]);
+            
+            // Investor Returns
+            csvData.push(['Returns by Investor']);
+            csvData.push(['Investor', 'Rounds', 'Investment', 'Exit Value', 'Sale Proceeds', 'MOIC', 'IRR']);
+            
+            this.returnsData.investorReturns.forEach(investor => {
+                csvData.push([
+                    investor.name,
+                    investor.rounds.join('; '),
+                    currency + NumberUtils.formatWithCommas(investor.investment),
+                    currency + NumberUtils.formatWithCommas(Math.round(investor.exitValue)),
+                    currency + NumberUtils.formatWithCommas(Math.round(investor.saleProceeds)),
+                    investor.multipleOfMoney.toFixed(1) + 'x',
+                    NumberUtils.formatIRR(investor.irr)
+                ]);
+            });
+            
+            csvData.push([]);
+            
+            // Founder Ownership by Stage
+            csvData.push(['Founder Ownership by Stage']);
+            csvData.push(['Founder', 'Shares', ...this.capTableData.map(stage => stage.stage)]);
+            
+            this.capTableData[0].founderHoldings.forEach(holding => {
+                csvData.push([
+                    holding.name,
+                    NumberUtils.formatWithCommas(holding.shares),
+                    ...this.capTableData.map(stage => {
+                        const stageHolding = stage.founderHoldings.find(h => h.name === holding.name);
+                        return stageHolding ? stageHolding.ownership.toFixed(1) + '%' : '-';
+                    })
+                ]);
+            });
+            
+            csvData.push([]);
+            
+            // Investor Ownership by Stage
+            const investorStages = this.capTableData.slice(1);
+            csvData.push(['Investor Ownership by Stage']);
+            csvData.push(['Investor', ...investorStages.map(stage => stage.stage)]);
+            
+            this.returnsData.investorReturns.forEach(investor => {
+                csvData.push([
+                    investor.name,
+                    ...investorStages.map(stage => {
+                        const holding = stage.investorHoldings.find(h => h.name === investor.name);
+                        return holding ? holding.ownership.toFixed(1) + '%' : '-';
+                    })
+                ]);
+            });
+            
+            csvData.push([]);
+            
+            // Secondary Sales
+            if (this.returnsData.secondaryTransfers.length > 0) {
+                csvData.push(['Secondary Sales']);
+                csvData.push(['Round', 'Year', 'Seller', 'Buyer', 'Share Class', 'Shares', 'Price', 'Proceeds']);
+                
+                this.returnsData.secondaryTransfers.forEach(transfer => {
+                    csvData.push([
+                        transfer.round,
+                        transfer.year,
+                        transfer.seller,
+                        transfer.buyer,
+                        transfer.shareClass,
+                        NumberUtils.formatWithCommas(transfer.shares),
+                        currency + transfer.price.toFixed(2),
+                        currency + NumberUtils.formatWithCommas(Math.round(transfer.proceeds))
+                    ]);
+                });
+                
+                csvData.push([]);
+            }
+            
+            // Buybacks and Cancellations
+            if (this.returnsData.retirements.length > 0) {
+                csvData.push(['Buybacks and Cancellations']);
+                csvData.push(['Event', 'Year', 'Holder', 'Share Class', 'Shares', 'Price', 'Proceeds']);
+                
+                this.returnsData.retirements.forEach(retirement => {
+                    csvData.push([
+                        retirement.round,
+                        retirement.year,
+                        retirement.seller,
+                        retirement.shareClass,
+                        NumberUtils.formatWithCommas(retirement.shares),
+                        currency + retirement.price.toFixed(2),
+                        currency + NumberUtils.formatWithCommas(Math.round(retirement.proceeds))
+                    ]);
+                });
+                
+                csvData.push([]);
+            }
+            
+            // Liquidation Waterfall
+            csvData.push(['Liquidation Waterfall']);
+            csvData.push(['Step', 'Recipient', 'Type', 'Amount', 'Remaining']);
+            
+            this.returnsData.liquidationWaterfall.forEach(step => {
+                csvData.push([
+                    step.step,
+                    step.recipient,
+                    step.type,
+                    currency + NumberUtils.formatWithCommas(Math.round(step.amount)),
+                    currency + NumberUtils.formatWithCommas(Math.max(0, Math.round(step.remaining)))
+                ]);
+            });
+            
+            // Conversion Breakpoints
+            if (this.returnsData.conversionBreakpoints.length > 0) {
+                csvData.push([]);
+                csvData.push(['Conversion Breakpoints']);
+                csvData.push(['Class', 'Participation', 'Preference', 'Headline %', 'Preference Covered At', 'Cap Reached At', 'Converts Above']);
+                
+                const formatValue = value => value !== null ? currency + NumberUtils.formatWithCommas(Math.round(value)) : '';
+                this.returnsData.conversionBreakpoints.forEach(breakpoint => {
+                    csvData.push([
+                        breakpoint.shareClass,
+                        this.formatParticipation(breakpoint),
+                        formatValue(breakpoint.preferenceAmount),
+                        breakpoint.ownershipPercent.toFixed(2) + '%',
+                        formatValue(breakpoint.preferenceCoveredAt),
+                        formatValue(breakpoint.participationCapAt),
+                        formatValue(breakpoint.conversionAt)
+                    ]);
+                });
+            }
+            
+            csvData.push([]);
+            csvData.push(['Founder Proceeds', currency + NumberUtils.formatWithCommas(Math.round(this.returnsData.founderReturn))]);
+            if (this.company.founders.length > 0) {
+                csvData.push(['Founder', 'Proceeds', 'Sale Proceeds', 'Vested Shares at Exit', 'Accelerated Shares', 'Unvested Shares', 'Entitled Proceeds', 'Unvested Proceeds']);
+                this.returnsData.founderReturns.forEach(founder => {
+                    csvData.push([
+                        `  ${founder.name}`,
+                        currency + NumberUtils.formatWithCommas(Math.round(founder.proceeds)),
+                        currency + NumberUtils.formatWithCommas(Math.round(founder.saleProceeds)),
+                        NumberUtils.formatWithCommas(founder.vestedShares),
+                        NumberUtils.formatWithCommas(founder.acceleratedShares),
+                        NumberUtils.formatWithCommas(founder.unvestedShares),
+                        currency + NumberUtils.formatWithCommas(Math.round(founder.entitledProceeds)),
+                        currency + NumberUtils.formatWithCommas(Math.round(founder.unvestedProceeds))
+                    ]);
+                });
+            }
+            csvData.push(['ESOP Proceeds', currency + NumberUtils.formatWithCommas(Math.round(this.returnsData.esopReturn))]);
+            
+            // Option Grants
+            if (this.returnsData.optionGrantReturns.length > 0) {
+                csvData.push([]);
+                csvData.push(['Option Grants at Exit']);
+                csvData.push(['Grantee', 'Grant Date', 'Status', 'Options', 'Strike Price', 'Vested Options', 'Accelerated Options', 'Unvested Options', 'Value', 'Entitled Proceeds']);
+                
+                this.returnsData.optionGrantReturns.forEach(grant => {
+                    csvData.push([
+                        grant.grantee,
+                        grant.date,
+                        grant.status,
+                        NumberUtils.formatWithCommas(grant.options),
+                        currency + grant.strikePrice.toFixed(2),
+                        NumberUtils.formatWithCommas(grant.vestedOptions),
+                        NumberUtils.formatWithCommas(grant.acceleratedOptions),
+                        NumberUtils.formatWithCommas(grant.unvestedOptions),
+                        currency + NumberUtils.formatWithCommas(Math.round(grant.value)),
+                        currency + NumberUtils.formatWithCommas(Math.round(grant.entitledProceeds))
+                    ]);
+                });
+            }
+            
+            // Warrants
+            if (this.returnsData.warrantReturns.length > 0) {
+                csvData.push([]);
+                csvData.push(['Warrants at Exit']);
+                csvData.push(['Holder', 'Share Class', 'Issue Date', 'Expiry Date', 'Shares', 'Exercise Price', 'Treatment', 'Shares Issued', 'Exercise Cost', 'Proceeds', 'Net Proceeds']);
+                
+                this.returnsData.warrantReturns.forEach(warrant => {
+                    csvData.push([
+                        warrant.holder,
+                        warrant.shareClass,
+                        warrant.issueDate,
+                        warrant.expiryDate,
+                        NumberUtils.formatWithCommas(warrant.shares),
+                        currency + warrant.exercisePrice.toFixed(2),
+                        warrant.status,
+                        NumberUtils.formatWithCommas(warrant.sharesIssued),
+                        currency + NumberUtils.formatWithCommas(Math.round(warrant.exerciseCost)),
+                        currency + NumberUtils.formatWithCommas(Math.round(warrant.proceeds)),
+                        currency + NumberUtils.formatWithCommas(Math.round(warrant.netProceeds))
+                    ]);
+                });
+            }
+            
+            // Monte Carlo Simulation
+            if (this.simulationData) {
+                const percentileHeaders = CONFIG.MONTE_CARLO.PERCENTILES.map(percentile => `P${percentile}`);
+                const summaryRow = (label, summary, format) => [
+                    label,
+                    format(summary.mean),
+                    ...summary.percentiles.map(point => format(point.value)),
+                    summary.probabilityOfLoss.toFixed(2) + '%'
+                ];
+                const formatValue = value => currency + NumberUtils.formatWithCommas(Math.round(value));
+                
+                csvData.push([]);
+                csvData.push(['Monte Carlo Simulation', `${this.simulationData.trials} trials`, `Seed ${this.simulationData.seed}`]);
+                csvData.push(['Proceeds', 'Mean', ...percentileHeaders, 'P(Loss)']);
+                csvData.push(summaryRow('Exit Valuation', this.simulationData.exitValuation, formatValue));
+                csvData.push(summaryRow('Founders', this.simulationData.founders, formatValue));
+                csvData.push(summaryRow('ESOP', this.simulationData.esop, formatValue));
+                if (this.simulationData.warrants) {
+                    csvData.push(summaryRow('Warrants', this.simulationData.warrants, formatValue));
+                }
+                const simulatedRounds = this.simulationData.rounds.filter(round => round.trials > 0);
+                const roundLabel = round => round.trials < this.simulationData.trials
+                    ? `${round.round} (${round.trials} trials)`
+                    : round.round;
+                simulatedRounds.forEach(round => {
+                    csvData.push(summaryRow(roundLabel(round), round.proceeds, formatValue));
+                });
+                csvData.push(['Round Multiple', 'Mean', ...percentileHeaders, 'P(< 1x)']);
+                simulatedRounds.forEach(round => {
+                    csvData.push(summaryRow(roundLabel(round), round.multipleOfMoney, value => value.toFixed(2) + 'x'));
+                });
+            }
+            
             // Summary
             const totalInvestment = this.returnsData.getTotalInvestment();
             const totalReturn = this.returnsData.totalInvestorReturn;
             const totalMultiple = totalInvestment > 0 ? totalReturn / totalInvestment : 0;
-            const avgIRR = this.returnsData.getWeightedAverageIRR();
+            const pooledIRR = this.returnsData.getPooledIRR();
             
             csvData.push([]);
             csvData.push(['Summary']);
             csvData.push(['Total Investment', currency + NumberUtils.formatWithCommas(totalInvestment)]);
-            csvData.push(['Total Return', currency + NumberUtils.formatWithCommas(totalReturn)]);
+            csvData.push(['Total Return', currency + NumberUtils.formatWithCommas(Math.round(totalReturn))]);
             csvData.push(['Overall Multiple', totalMultiple.toFixed(1) + 'x']);
-            csvData.push(['Weighted Avg IRR', avgIRR.toFixed(1) + '%']);
-            csvData.push(['Exit Valuation', currency + NumberUtils.formatWithCommas(this.company.exitValuation)]);
+            csvData.push(['Pooled IRR', NumberUtils.formatIRR(pooledIRR)]);
+            csvData.push(['Exit Valuation', currency + NumberUtils.formatWithCommas(Math.round(this.returnsData.exitValuation))]);
+            const revenueMetrics = this.returnsData.revenueMetrics;
+            if (revenueMetrics.exitRevenue > 0) {
+                csvData.push(['Exit Revenue', currency + NumberUtils.formatWithCommas(revenueMetrics.exitRevenue)]);
+                csvData.push(['Exit Revenue Multiple', revenueMetrics.exitRevenueMultiple.toFixed(1) + 'x']);
+                if (revenueMetrics.impliedRevenueGrowth !== null) {
+                    csvData.push([`Implied Revenue Growth since ${revenueMetrics.lastRound}`, revenueMetrics.impliedRevenueGrowth.toFixed(1) + '% a year']);
+                }
+            }
             
             // Convert to CSV string
             const csvString = csvData.map(row => 
@@ -975,11 +3919,30 @@ class CapTableApp {
             DOMUtils.setValue('founderShares', NumberUtils.formatWithCommas(CONFIG.DEFAULTS.FOUNDER_SHARES));
             DOMUtils.setValue('optionPool', CONFIG.DEFAULTS.OPTION_POOL_PERCENT);
             DOMUtils.setValue('exitYear', DateUtils.getCurrentYear() + CONFIG.DEFAULTS.EXIT_YEARS_AHEAD);
+            DOMUtils.setValue('exitMonth', CONFIG.DEFAULTS.EXIT_MONTH);
+            DOMUtils.setValue('escrowPercent', CONFIG.DEFAULTS.ESCROW.PERCENT);
+            DOMUtils.setValue('escrowMonths', CONFIG.DEFAULTS.ESCROW.MONTHS);
             DOMUtils.setValue('exitValuation', NumberUtils.formatWithCommas(CONFIG.DEFAULTS.EXIT_VALUATION));
             DOMUtils.setValue('exitMultiple', CONFIG.DEFAULTS.EXIT_MULTIPLE);
+            DOMUtils.setValue('exitRevenue', NumberUtils.formatWithCommas(CONFIG.DEFAULTS.EXIT_REVENUE));
+            DOMUtils.setValue('exitValuationMethod', CONFIG.DEFAULTS.EXIT_VALUATION_METHOD);
+            this.updateExitValuation();
             DOMUtils.setValue('currency', CONFIG.DEFAULTS.CURRENCY);
+            DOMUtils.getElement('terminatedAtExit').checked = CONFIG.DEFAULTS.TERMINATED_AT_EXIT;
+            DOMUtils.setValue('exitDistribution', CONFIG.DEFAULTS.SIMULATION.DISTRIBUTION);
+            DOMUtils.setValue('simulationTrials', CONFIG.DEFAULTS.SIMULATION.TRIALS);
+            DOMUtils.setValue('simulationSeed', CONFIG.DEFAULTS.SIMULATION.SEED);
+            DOMUtils.setValue('exitVolatility', CONFIG.DEFAULTS.SIMULATION.VOLATILITY);
+            DOMUtils.setValue('exitYearMin', '');
+            DOMUtils.setValue('exitYearMax', '');
+            this.clearExitOutcomes();
+            this.updateExitDistributionTerms();
 
-            // Clear funding rounds and add default
+            // Clear founders, option grants, warrants, share events and funding rounds, then add a default round
+            this.clearFounders();
+            this.clearOptionGrants();
+            this.clearWarrants();
+            this.clearShareEvents();
             this.clearFundingRounds();
             this.addFundingRound();
 
@@ -990,6 +3953,9 @@ class CapTableApp {
             this.company = new Company();
             this.capTableData = null;
             this.returnsData = null;
+            this.simulationData = null;
+            this.dilutionData = null;
+            this.goalSeekResult = null;
 
             // Clear storage
             StorageUtils.remove('capTableData');
@@ -4,7 +4,7 @@
 
 class CapTableCalculator {
     /**
-     * Calculate cap table evolution through funding rounds
+     * Calculate cap table evolution through funding rounds and share events
      */
     static calculateEvolution(company) {
         try {
@@ -12,7 +12,12 @@ class CapTableCalculator {
             company.validate();
             
             const evolution = [];
-            const rounds = company.getRoundsByYear();
+            
+            // Share events happen before any round in the same year
+            const timeline = [
+                ...company.getEventsByYear().map(event => ({ event, year: event.year, order: 0 })),
+                ...company.getRoundsByYear().map(round => ({ round, year: round.year, order: 1 }))
+            ].sort((a, b) => a.year - b.year || a.order - b.order);
             
             // Initialize tracking variables
             let founderShares = company.founderShares;
@@ -24,22 +29,32 @@ class CapTableCalculator {
                 company, 
                 founderShares, 
                 optionPoolShares,
-                rounds[0]?.year
+                timeline[0]?.year
             );
             evolution.push(incorporationStage);
             
-            // Process each funding round
-            for (const round of rounds) {
-                const stage = this._processRound(
-                    round,
-                    founderShares,
-                    optionPoolShares,
-                    totalInvestorShares,
-                    company,
-                    evolution[evolution.length - 1]
-                );
+            // Process each funding round and share event
+            for (const { round, event } of timeline) {
+                const previousStage = evolution[evolution.length - 1];
+                let stage;
+                
+                if (event) {
+                    stage = this._processShareEvent(event, company, previousStage);
+                } else if (round.isConvertible()) {
+                    stage = this._processConvertibleRound(round, company, previousStage);
+                } else {
+                    stage = this._processRound(
+                        round,
+                        founderShares,
+                        optionPoolShares,
+                        totalInvestorShares,
+                        company,
+                        previousStage
+                    );
+                }
                 
                 // Update tracking variables
+                founderShares = stage.founderShares;
                 optionPoolShares = stage.optionPoolShares;
                 totalInvestorShares = stage.investorShares;
                 
@@ -60,27 +75,55 @@ class CapTableCalculator {
     /**
      * Create incorporation stage
      */
-    static _createIncorporationStage(company, founderShares, optionPoolShares, firstRoundYear) {
-        const totalShares = founderShares + optionPoolShares;
-        const year = firstRoundYear ? firstRoundYear - 1 : DateUtils.getCurrentYear();
+    static _createIncorporationStage(company, founderShares, optionPoolShares, firstYear) {
+        const year = firstYear ? firstYear - 1 : DateUtils.getCurrentYear();
+        const warrants = company.getWarrantsAt(year);
+        const warrantShares = this._sumWarrantShares(warrants);
+        const totalShares = founderShares + optionPoolShares + warrantShares;
         
         const stage = new CapTableStage({
             stage: 'Incorporation',
             year: year,
             totalShares: totalShares,
             founderShares: founderShares,
+            founderHoldings: company.getFounders(),
             optionPoolShares: optionPoolShares,
+            warrants: warrants,
+            warrantShares: warrantShares,
             investorShares: 0,
             newInvestorShares: 0,
+            optionGrants: company.getOptionGrantsAt(year),
             liquidationStack: []
         });
         
+        stage.calculateVesting();
+        stage.calculateOptionPool();
+        stage.calculateShareClasses();
         stage.calculateOwnership();
         stage.validateOwnership();
         
         return stage;
     }
 
+    /**
+     * Total the shares underlying a set of warrants
+     */
+    static _sumWarrantShares(warrants) {
+        return warrants.reduce((total, warrant) => total + warrant.shares, 0);
+    }
+
+    /**
+     * Carry founder holdings into the next stage
+     * Ownership is recalculated per stage, so each stage gets its own copies
+     */
+    static _carryFounderHoldings(previousStage) {
+        return previousStage.founderHoldings.map(holding => ({
+            name: holding.name,
+            shares: holding.shares,
+            vesting: holding.vesting
+        }));
+    }
+
     /**
      * Process a single funding round
      */
@@ -91,57 +134,632 @@ class CapTableCalculator {
             // Calculate ownership percentage for new investors
             const investorOwnershipPercent = (round.investment / postMoneyValuation) * 100;
             
-            // Calculate total shares before this round
-            let totalSharesBefore = founderShares + optionPoolShares + totalInvestorShares;
+            // Calculate fully diluted shares before this round, including shares under warrants
+            const warrants = company.getWarrantsAt(round.year);
+            const warrantShares = this._sumWarrantShares(warrants);
+            let totalSharesBefore = founderShares + optionPoolShares + warrantShares + totalInvestorShares;
+            
+            // Convert outstanding SAFEs and notes into this round
+            const conversion = this._convertInstruments(
+                previousStage.pendingConversions,
+                round.preMoneyValuation,
+                totalSharesBefore,
+                round.year
+            );
+            
+            // Compensate earlier investors if this round is priced below their conversion price.
+            // Conversion and adjustment shares sit in the pre-money, so only existing holders are diluted by them.
+            // Adjustment shares lower the price new investors pay, so reprice until the adjustment is
+            // made at the same price the round is actually issued at.
+            const poolTarget = round.getOptionPoolTarget(company);
+            const issueAt = adjustmentShares => this._calculateIssuance(
+                totalSharesBefore + conversion.totalShares + adjustmentShares,
+                optionPoolShares,
+                investorOwnershipPercent,
+                poolTarget,
+                round.optionPoolTiming,
+                round.optionPoolTarget !== null
+            );
+            const applyAntiDilution = price => this._applyAntiDilution(
+                previousStage.liquidationStack,
+                price,
+                round,
+                totalSharesBefore,
+                totalInvestorShares
+            );
+            
+            let roundPrice = round.preMoneyValuation / (totalSharesBefore + conversion.totalShares);
+            let antiDilution = applyAntiDilution(roundPrice);
+            let issuance = issueAt(antiDilution.totalShares);
+            for (let iteration = 0; antiDilution.totalShares > 0; iteration++) {
+                if (iteration >= CONFIG.CONVERSION.MAX_ITERATIONS) {
+                    throw new CalculationError(
+                        'anti_dilution',
+                        'Anti-dilution adjustments do not settle: the protected investment is too large for the pre-money valuation',
+                        { round: round.type }
+                    );
+                }
+                
+                roundPrice = issuance.newInvestorShares > 0 ? round.investment / issuance.newInvestorShares : roundPrice;
+                const next = applyAntiDilution(roundPrice);
+                const settled = next.totalShares === antiDilution.totalShares;
+                antiDilution = next;
+                if (settled) break;
+                
+                issuance = issueAt(antiDilution.totalShares);
+            }
             
-            // Calculate new shares to issue for investors
-            const newInvestorShares = Math.floor(
-                totalSharesBefore * investorOwnershipPercent / (100 - investorOwnershipPercent)
+            totalInvestorShares += conversion.totalShares + antiDilution.totalShares;
+            totalSharesBefore += conversion.totalShares + antiDilution.totalShares;
+            
+            // Converted instruments become shadow series of this round's class unless they name their own
+            const conversionEntries = conversion.conversions.map((converted, index) => ({
+                roundId: converted.roundId,
+                round: converted.round,
+                shareClass: converted.shareClass || `${round.type}-${index + 1} Preferred`,
+                investment: converted.investment,
+                preferenceMultiple: converted.preferenceMultiple,
+                participating: converted.participating,
+                participationCap: converted.participationCap,
+                seniority: converted.seniority,
+                dividend: round.getDividendTerms(),
+                antiDilution: converted.antiDilution,
+                issuePrice: converted.price,
+                conversionPrice: converted.price,
+                antiDilutionShares: 0,
+                shares: converted.shares,
+                investors: this._allocateShares(converted.investors, converted.shares),
+                year: converted.year,
+                date: converted.date
+            }));
+            
+            // Existing investors with pro-rata rights take part of the round; new investors get the rest
+            const proRata = this._allocateProRata(
+                this._summarizeInvestorHoldings([...antiDilution.liquidationStack, ...conversionEntries]),
+                totalSharesBefore,
+                round
             );
+            const newMoneyScale = round.investment > 0 ? (round.investment - proRata.totalAmount) / round.investment : 0;
+            const roundInvestors = [
+                ...round.getInvestors()
+                    .map(investor => ({ ...investor, amount: investor.amount * newMoneyScale }))
+                    .filter(investor => investor.amount > 0),
+                ...proRata.participants.map(participant => ({
+                    name: participant.name,
+                    amount: participant.amount,
+                    proRata: true,
+                    followOn: true
+                }))
+            ];
             
-            // Handle option pool top-up if enabled
-            let optionPoolTopUpShares = 0;
-            if (company.optionPoolTopUp) {
-                const targetOptionPoolShares = Math.floor(
-                    (totalSharesBefore + newInvestorShares) * company.optionPoolPercent / 100
+            // New investor shares and option pool top-up, as settled against the anti-dilution adjustment
+            const newInvestorShares = issuance.newInvestorShares;
+            const optionPoolTopUpShares = issuance.optionPoolTopUpShares;
+            
+            // Founder dilution shifted by topping up in the pre-money rather than the post-money
+            let poolShuffleDilution = 0;
+            if (round.optionPoolTiming === 'pre-money' && optionPoolTopUpShares > 0) {
+                const postMoneyIssuance = this._calculateIssuance(
+                    totalSharesBefore,
+                    optionPoolShares,
+                    investorOwnershipPercent,
+                    poolTarget,
+                    'post-money',
+                    round.optionPoolTarget !== null
                 );
-                optionPoolTopUpShares = Math.max(0, targetOptionPoolShares - optionPoolShares);
-                optionPoolShares += optionPoolTopUpShares;
+                poolShuffleDilution = parseFloat((
+                    NumberUtils.calculatePercentage(founderShares, totalSharesBefore + postMoneyIssuance.totalNewShares, 2) -
+                    NumberUtils.calculatePercentage(founderShares, totalSharesBefore + issuance.totalNewShares, 2)
+                ).toFixed(2));
             }
             
+            optionPoolShares += optionPoolTopUpShares;
+            
+            // Value of the pre-round shares at the price new investors actually pay
+            const effectivePreMoneyValuation = newInvestorShares > 0
+                ? (round.investment / newInvestorShares) * totalSharesBefore
+                : round.preMoneyValuation;
+            
             // Update totals
             const newTotalInvestorShares = totalInvestorShares + newInvestorShares;
             const totalSharesAfter = totalSharesBefore + newInvestorShares + optionPoolTopUpShares;
             
-            // Create liquidation stack entry
-            const liquidationStack = [...previousStage.liquidationStack];
+            // Create liquidation stack entries, converted instruments first
+            const liquidationStack = antiDilution.liquidationStack;
+            conversionEntries.forEach(entry => {
+                entry.ownershipPercent = (entry.shares / totalSharesAfter) * 100;
+                liquidationStack.push(entry);
+            });
+            
+            const preferenceTerms = round.getPreferenceTerms();
+            const issuePrice = newInvestorShares > 0 ? round.investment / newInvestorShares : 0;
             liquidationStack.push({
+                roundId: round.id,
                 round: round.type,
+                shareClass: round.getShareClassName(),
                 investment: round.investment,
-                preference: round.liquidationPref,
+                preferenceMultiple: preferenceTerms.multiple,
+                participating: preferenceTerms.participating,
+                participationCap: preferenceTerms.participationCap,
+                seniority: company.getSeniorityRanks().get(round.id),
+                dividend: round.getDividendTerms(),
+                antiDilution: round.antiDilution,
+                issuePrice: issuePrice,
+                conversionPrice: issuePrice,
+                antiDilutionShares: 0,
                 shares: newInvestorShares,
+                investors: this._allocateShares(roundInvestors, newInvestorShares),
                 year: round.year,
+                date: round.getDate(),
                 ownershipPercent: (newInvestorShares / totalSharesAfter) * 100
             });
             
+            // Move existing shares sold in the round's secondary component
+            const secondary = this._applySecondaries(
+                round,
+                liquidationStack,
+                this._carryFounderHoldings(previousStage)
+            );
+            
             // Create stage
             const stage = new CapTableStage({
                 stage: round.type,
                 year: round.year,
                 round: round,
                 totalShares: totalSharesAfter,
-                founderShares: founderShares,
+                founderShares: founderShares - secondary.founderSharesSold,
+                founderHoldings: secondary.founderHoldings,
                 optionPoolShares: optionPoolShares,
-                investorShares: newTotalInvestorShares,
+                warrants: warrants,
+                warrantShares: warrantShares,
+                investorShares: newTotalInvestorShares + secondary.founderSharesSold,
                 newInvestorShares: newInvestorShares,
+                antiDilutionShares: antiDilution.totalShares,
+                antiDilutionAdjustments: antiDilution.adjustments,
+                conversionShares: conversion.totalShares,
+                conversions: conversion.conversions,
+                pendingConversions: [],
+                optionPoolTopUpShares: optionPoolTopUpShares,
+                optionPoolTiming: poolTarget !== null ? round.optionPoolTiming : null,
+                poolShuffleDilution: poolShuffleDilution,
                 preMoneyValuation: round.preMoneyValuation,
                 postMoneyValuation: postMoneyValuation,
+                effectivePreMoneyValuation: effectivePreMoneyValuation,
                 investment: round.investment,
                 revenue: round.revenue,
                 revenueMultiple: round.revenue > 0 ? postMoneyValuation / round.revenue : 0,
-                liquidationStack: liquidationStack
+                optionGrants: company.getOptionGrantsAt(round.year),
+                liquidationStack: secondary.liquidationStack,
+                investorHoldings: this._summarizeInvestorHoldings(secondary.liquidationStack),
+                secondaryTransfers: secondary.transfers,
+                proRataParticipation: proRata.participants,
+                proRataInvestment: proRata.totalAmount,
+                pricePerShare: issuePrice
+            });
+            
+            stage.calculateVesting();
+            stage.calculateOptionPool();
+            stage.calculateShareClasses();
+            stage.calculateOwnership();
+            stage.validateOwnership();
+            
+            return stage;
+            
+        } catch (error) {
+            throw new CalculationError(
+                'round_processing',
+                `Failed to process ${round.type} round: ${error.message}`,
+                { round: round.toObject() }
+            );
+        }
+    }
+
+    /**
+     * Apply a round's secondary sales, moving existing shares from sellers to buyers
+     *
+     * Founders sell common shares, which the buyer holds as common. Investors sell
+     * their preferred shares earliest class first; the buyer's shares keep the
+     * class terms and seniority, with the preference following the shares.
+     * No new shares are created.
+     */
+    static _applySecondaries(round, previousStack, founderHoldings) {
+        const liquidationStack = [...previousStack];
+        const transfers = [];
+        let founderSharesSold = 0;
+        
+        for (const sale of round.secondaries) {
+            const record = (sellerType, shareClass, shares, costBasis, costDate) => transfers.push({
+                roundId: round.id,
+                round: round.type,
+                year: round.year,
+                date: round.getDate(),
+                seller: sale.seller,
+                sellerType: sellerType,
+                buyer: sale.buyer,
+                shareClass: shareClass,
+                shares: shares,
+                price: sale.price,
+                proceeds: shares * sale.price,
+                costBasis: costBasis,
+                costDate: costDate
+            });
+            
+            const founder = founderHoldings.find(holding => holding.name === sale.seller);
+            if (founder) {
+                if (founder.shares < sale.shares) {
+                    throw new CalculationError(
+                        'secondary_sale',
+                        `${sale.seller} sells ${sale.shares} shares but holds only ${founder.shares}`,
+                        { round: round.type, sale }
+                    );
+                }
+                
+                founder.shares -= sale.shares;
+                founderSharesSold += sale.shares;
+                liquidationStack.push({
+                    roundId: null,
+                    round: `${round.type} Secondary`,
+                    shareClass: 'Common',
+                    common: true,
+                    secondary: true,
+                    investment: 0,
+                    preferenceMultiple: 0,
+                    participating: true,
+                    participationCap: null,
+                    seniority: null,
+                    dividend: null,
+                    antiDilution: 'none',
+                    issuePrice: null,
+                    conversionPrice: null,
+                    antiDilutionShares: 0,
+                    shares: sale.shares,
+                    investors: [{ name: sale.buyer, amount: sale.shares * sale.price, shares: sale.shares }],
+                    year: round.year,
+                    date: round.getDate()
+                });
+                record('founder', 'Common', sale.shares, 0, round.getDate());
+                continue;
+            }
+            
+            const pieces = this._takeInvestorShares(liquidationStack, sale.seller, sale.shares, 'secondary_sale');
+            
+            // The buyer's shares sit next to the seller's class so seniority is unchanged.
+            // Insert from the back so earlier indexes stay valid.
+            [...pieces].reverse().forEach(({ index, entry, shares, preferenceBasis }) => {
+                liquidationStack.splice(index + 1, 0, {
+                    ...entry,
+                    round: entry.secondary ? entry.round : `${entry.round} Secondary`,
+                    secondary: true,
+                    investment: preferenceBasis,
+                    antiDilutionShares: 0,
+                    shares: shares,
+                    investors: [{ name: sale.buyer, amount: shares * sale.price, shares: shares }],
+                    year: round.year,
+                    date: round.getDate()
+                });
+            });
+            
+            pieces.forEach(({ entry, shares, costBasis }) => record('investor', entry.shareClass, shares, costBasis, entry.date));
+        }
+        
+        return { liquidationStack, founderHoldings, transfers, founderSharesSold };
+    }
+
+    /**
+     * Take shares from a named investor, earliest class first
+     *
+     * Replaces the affected entries in the given stack, reducing their investment
+     * in proportion so the preference leaves with the shares, and returns the
+     * pieces taken with the seller's cost basis for each.
+     */
+    static _takeInvestorShares(liquidationStack, name, sharesToTake, operation) {
+        const held = liquidationStack.reduce((total, entry) => 
+            total + entry.investors
+                .filter(investor => investor.name === name)
+                .reduce((sum, investor) => sum + investor.shares, 0),
+            0
+        );
+        if (held < sharesToTake) {
+            throw new CalculationError(
+                operation,
+                held > 0
+                    ? `${name} gives up ${sharesToTake} shares but holds only ${held}`
+                    : `${name} is not a founder or investor holding shares`,
+                { name, shares: sharesToTake }
+            );
+        }
+        
+        const pieces = [];
+        let remaining = sharesToTake;
+        
+        for (let i = 0; i < liquidationStack.length && remaining > 0; i++) {
+            const entry = liquidationStack[i];
+            const holder = entry.investors.find(investor => investor.name === name);
+            if (!holder || holder.shares === 0) continue;
+            
+            const shares = Math.min(remaining, holder.shares);
+            const costBasis = holder.amount * shares / holder.shares;
+            const preferenceBasis = entry.investment * shares / entry.shares;
+            remaining -= shares;
+            
+            // Entries are shared with earlier stages, so replace rather than modify them
+            liquidationStack[i] = {
+                ...entry,
+                investment: entry.investment - preferenceBasis,
+                shares: entry.shares - shares,
+                investors: entry.investors.map(investor => investor === holder
+                    ? { ...investor, amount: investor.amount - costBasis, shares: investor.shares - shares }
+                    : investor)
+            };
+            
+            pieces.push({ index: i, entry, shares, costBasis, preferenceBasis });
+        }
+        
+        return pieces;
+    }
+
+    /**
+     * Process a stock split, reverse split, buyback or cancellation
+     *
+     * No money is raised, so the stage carries the previous valuation; a split
+     * rescales the price per share instead.
+     */
+    static _processShareEvent(event, company, previousStage) {
+        try {
+            const founderHoldings = this._carryFounderHoldings(previousStage);
+            let liquidationStack = previousStage.liquidationStack;
+            let optionPoolShares = previousStage.optionPoolShares;
+            let retirements = [];
+            
+            if (event.isSplit()) {
+                const split = this._applySplit(event.getSplitFactor(), founderHoldings, liquidationStack, optionPoolShares);
+                liquidationStack = split.liquidationStack;
+                optionPoolShares = split.optionPoolShares;
+            } else {
+                const retired = this._retireShares(event, founderHoldings, liquidationStack);
+                liquidationStack = retired.liquidationStack;
+                retirements = retired.retirements;
+            }
+            
+            const founderShares = founderHoldings.reduce((total, holding) => total + holding.shares, 0);
+            const investorShares = liquidationStack.reduce((total, entry) => total + entry.shares, 0);
+            const warrants = company.getWarrantsAt(event.year);
+            const warrantShares = this._sumWarrantShares(warrants);
+            
+            const stage = new CapTableStage({
+                stage: event.getLabel(),
+                year: event.year,
+                event: event,
+                totalShares: founderShares + optionPoolShares + warrantShares + investorShares,
+                founderShares: founderShares,
+                founderHoldings: founderHoldings,
+                optionPoolShares: optionPoolShares,
+                warrants: warrants,
+                warrantShares: warrantShares,
+                investorShares: investorShares,
+                newInvestorShares: 0,
+                optionGrants: company.getOptionGrantsAt(event.year),
+                liquidationStack: liquidationStack,
+                investorHoldings: this._summarizeInvestorHoldings(liquidationStack),
+                pendingConversions: previousStage.pendingConversions,
+                retirements: retirements,
+                pricePerShare: previousStage.pricePerShare / event.getSplitFactor()
+            });
+            
+            stage.calculateVesting();
+            stage.calculateOptionPool();
+            stage.calculateShareClasses();
+            stage.calculateOwnership();
+            stage.validateOwnership();
+            
+            return stage;
+            
+        } catch (error) {
+            throw new CalculationError(
+                'share_event',
+                `Failed to process ${event.getLabel()}: ${error.message}`,
+                { event: event.toObject() }
+            );
+        }
+    }
+
+    /**
+     * Multiply every holding by a split factor
+     *
+     * Each holder's shares round down, as fractional shares are settled in cash.
+     * Issue and conversion prices scale the other way so preferences are unchanged.
+     */
+    static _applySplit(factor, founderHoldings, previousStack, optionPoolShares) {
+        founderHoldings.forEach(holding => {
+            holding.shares = Math.floor(holding.shares * factor);
+        });
+        
+        const liquidationStack = previousStack.map(entry => {
+            const investors = entry.investors.map(investor => ({
+                ...investor,
+                shares: Math.floor(investor.shares * factor)
+            }));
+            
+            return {
+                ...entry,
+                issuePrice: entry.issuePrice === null ? null : entry.issuePrice / factor,
+                conversionPrice: entry.conversionPrice === null ? null : entry.conversionPrice / factor,
+                antiDilutionShares: Math.floor(entry.antiDilutionShares * factor),
+                shares: investors.reduce((total, investor) => total + investor.shares, 0),
+                investors: investors
+            };
+        });
+        
+        return { liquidationStack, optionPoolShares: Math.floor(optionPoolShares * factor) };
+    }
+
+    /**
+     * Retire shares the company buys back or cancels
+     *
+     * Founders give up common shares; investors give up shares earliest class first,
+     * with the preference on them cancelled too. A cancellation is a buyback at nil.
+     */
+    static _retireShares(event, founderHoldings, previousStack) {
+        const price = event.type === 'buyback' ? event.price : 0;
+        const record = (sellerType, shareClass, shares, costBasis, costDate) => ({
+            roundId: null,
+            round: event.getLabel(),
+            year: event.year,
+            date: DateUtils.formatMonth(event.year),
+            seller: event.holder,
+            sellerType: sellerType,
+            buyer: 'Company',
+            shareClass: shareClass,
+            shares: shares,
+            price: price,
+            proceeds: shares * price,
+            costBasis: costBasis,
+            costDate: costDate
+        });
+        
+        const founder = founderHoldings.find(holding => holding.name === event.holder);
+        if (founder) {
+            if (founder.shares < event.shares) {
+                throw new CalculationError(
+                    'share_event',
+                    `${event.holder} gives up ${event.shares} shares but holds only ${founder.shares}`,
+                    { event: event.toObject() }
+                );
+            }
+            
+            founder.shares -= event.shares;
+            return {
+                liquidationStack: previousStack,
+                retirements: [record('founder', 'Common', event.shares, 0, DateUtils.formatMonth(event.year))]
+            };
+        }
+        
+        const liquidationStack = [...previousStack];
+        const pieces = this._takeInvestorShares(liquidationStack, event.holder, event.shares, 'share_event');
+        
+        return {
+            liquidationStack,
+            retirements: pieces.map(({ entry, shares, costBasis }) => 
+                record('investor', entry.shareClass, shares, costBasis, entry.date))
+        };
+    }
+
+    /**
+     * Calculate shares issued to new investors and to top up the option pool
+     *
+     * A pre-money top-up is issued before the new money, so only existing holders
+     * are diluted by it. A post-money top-up is issued after, diluting new investors
+     * too. Either way the pool ends at poolTarget % of the post-round total, except for
+     * the company-wide top-up without a round target: that keeps its original sizing at
+     * poolTarget % of the shares before the top-up itself.
+     */
+    static _calculateIssuance(totalSharesBefore, optionPoolShares, investorOwnershipPercent, poolTarget, timing, roundTarget = true) {
+        const investorFraction = investorOwnershipPercent / 100;
+        const poolFraction = poolTarget !== null ? poolTarget / 100 : 0;
+        let optionPoolTopUpShares = 0;
+        let newInvestorShares;
+        
+        if (timing === 'pre-money') {
+            if (poolFraction + investorFraction >= 1) {
+                throw new CalculationError(
+                    'option_pool_top_up',
+                    `Option pool target of ${poolTarget}% leaves no room for the new investors`,
+                    { poolTarget, investorOwnershipPercent }
+                );
+            }
+            
+            if (poolTarget !== null) {
+                optionPoolTopUpShares = Math.max(0, Math.floor(
+                    (poolFraction * totalSharesBefore - optionPoolShares * (1 - investorFraction)) /
+                    (1 - investorFraction - poolFraction)
+                ));
+            }
+            newInvestorShares = Math.floor(
+                (totalSharesBefore + optionPoolTopUpShares) * investorFraction / (1 - investorFraction)
+            );
+        } else {
+            newInvestorShares = Math.floor(totalSharesBefore * investorFraction / (1 - investorFraction));
+            
+            if (poolTarget !== null) {
+                if (poolFraction >= 1) {
+                    throw new CalculationError(
+                        'option_pool_top_up',
+                        `Option pool target of ${poolTarget}% must be below 100%`,
+                        { poolTarget }
+                    );
+                }
+                
+                optionPoolTopUpShares = roundTarget
+                    ? Math.max(0, Math.floor(
+                        (poolFraction * (totalSharesBefore + newInvestorShares) - optionPoolShares) / (1 - poolFraction)
+                    ))
+                    : Math.max(0, Math.floor((totalSharesBefore + newInvestorShares) * poolFraction) - optionPoolShares);
+            }
+        }
+        
+        return {
+            newInvestorShares,
+            optionPoolTopUpShares,
+            totalNewShares: newInvestorShares + optionPoolTopUpShares
+        };
+    }
+
+    /**
+     * Process a SAFE or convertible note round
+     *
+     * No shares are issued: the instrument is carried forward until the next
+     * priced round converts it.
+     */
+    static _processConvertibleRound(round, company, previousStage) {
+        try {
+            const preferenceTerms = round.getPreferenceTerms();
+            const pendingConversions = [...previousStage.pendingConversions, {
+                roundId: round.id,
+                round: round.type,
+                instrument: round.type === 'SAFE' ? 'safe' : 'note',
+                year: round.year,
+                date: round.getDate(),
+                investment: round.investment,
+                valuationCap: round.valuationCap,
+                discountRate: round.discountRate,
+                safeType: round.safeType,
+                interestRate: round.interestRate,
+                preferenceMultiple: preferenceTerms.multiple,
+                participating: preferenceTerms.participating,
+                participationCap: preferenceTerms.participationCap,
+                seniority: company.getSeniorityRanks().get(round.id),
+                antiDilution: round.antiDilution,
+                shareClass: round.shareClass,
+                investors: round.getInvestors()
+            }];
+            
+            const warrants = company.getWarrantsAt(round.year);
+            const warrantShares = this._sumWarrantShares(warrants);
+            
+            const stage = new CapTableStage({
+                stage: round.type,
+                year: round.year,
+                round: round,
+                totalShares: previousStage.founderShares + previousStage.optionPoolShares + warrantShares + previousStage.investorShares,
+                founderShares: previousStage.founderShares,
+                founderHoldings: this._carryFounderHoldings(previousStage),
+                optionPoolShares: previousStage.optionPoolShares,
+                warrants: warrants,
+                warrantShares: warrantShares,
+                investorShares: previousStage.investorShares,
+                newInvestorShares: 0,
+                investment: round.investment,
+                revenue: round.revenue,
+                optionGrants: company.getOptionGrantsAt(round.year),
+                liquidationStack: previousStage.liquidationStack,
+                investorHoldings: this._summarizeInvestorHoldings(previousStage.liquidationStack),
+                pendingConversions: pendingConversions,
+                pricePerShare: previousStage.pricePerShare
             });
             
+            stage.calculateVesting();
+            stage.calculateOptionPool();
+            stage.calculateShareClasses();
             stage.calculateOwnership();
             stage.validateOwnership();
             
@@ -156,44 +774,350 @@ class CapTableCalculator {
         }
     }
 
+    /**
+     * Convert outstanding SAFEs and convertible notes at a priced round or exit
+     *
+     * Each instrument converts at the lowest of the round price, its discounted
+     * price and its valuation cap price. Conversion shares are part of the
+     * capitalization the round is priced on, so the price is found iteratively.
+     * Pre-money SAFEs and notes apply their cap to the capitalization before any
+     * conversions; post-money SAFEs apply it to the capitalization after them.
+     * Pass a null pre-money valuation for conversion at a liquidity event.
+     */
+    static _convertInstruments(instruments, preMoneyValuation, totalSharesBefore, conversionYear) {
+        let conversions = [];
+        let totalShares = 0;
+        
+        for (let iteration = 0; iteration < CONFIG.CONVERSION.MAX_ITERATIONS && instruments.length > 0; iteration++) {
+            const capitalization = totalSharesBefore + totalShares;
+            // A liquidity event has no round price, so only the cap can give conversion shares
+            const roundPrice = preMoneyValuation === null ? Infinity : preMoneyValuation / capitalization;
+            
+            conversions = instruments.map(instrument => {
+                // Notes accrue simple interest up to conversion
+                const years = DateUtils.yearsBetween(instrument.year, conversionYear);
+                const interest = instrument.instrument === 'note'
+                    ? instrument.investment * (instrument.interestRate / 100) * years
+                    : 0;
+                const amount = instrument.investment + interest;
+                
+                const prices = [{ method: 'round', price: roundPrice }];
+                if (instrument.discountRate > 0) {
+                    prices.push({ method: 'discount', price: roundPrice * (1 - instrument.discountRate / 100) });
+                }
+                if (instrument.valuationCap > 0) {
+                    const capShares = instrument.instrument === 'safe' && instrument.safeType === 'post-money'
+                        ? capitalization
+                        : totalSharesBefore;
+                    prices.push({ method: 'cap', price: instrument.valuationCap / capShares });
+                }
+                
+                const best = prices.reduce((lowest, option) => option.price < lowest.price ? option : lowest);
+                
+                return {
+                    ...instrument,
+                    interest: interest,
+                    amount: amount,
+                    method: best.method,
+                    price: best.price,
+                    shares: Math.floor(amount / best.price)
+                };
+            });
+            
+            const newTotalShares = conversions.reduce((total, converted) => total + converted.shares, 0);
+            const converged = Math.abs(newTotalShares - totalShares) < 1;
+            totalShares = newTotalShares;
+            
+            if (converged) break;
+        }
+        
+        return { conversions, totalShares };
+    }
+
+    /**
+     * Apply anti-dilution protection for a round priced at roundPrice
+     *
+     * Returns a copy of the liquidation stack with adjusted conversion prices and
+     * share counts, plus the adjustment shares issued to each protected round.
+     */
+    static _applyAntiDilution(previousStack, roundPrice, round, totalSharesBefore, totalInvestorShares) {
+        const adjustments = [];
+        let totalShares = 0;
+        
+        const liquidationStack = previousStack.map(entry => {
+            if (!entry.antiDilution || entry.antiDilution === 'none' || roundPrice >= entry.conversionPrice) {
+                return entry;
+            }
+            
+            let newConversionPrice;
+            if (entry.antiDilution === 'full-ratchet') {
+                newConversionPrice = roundPrice;
+            } else {
+                // CP2 = CP1 * (A + B) / (A + C)
+                const sharesOutstanding = entry.antiDilution === 'narrow-weighted-average'
+                    ? totalInvestorShares
+                    : totalSharesBefore;
+                const sharesAtOldPrice = round.investment / entry.conversionPrice;
+                const sharesAtNewPrice = round.investment / roundPrice;
+                newConversionPrice = entry.conversionPrice *
+                    (sharesOutstanding + sharesAtOldPrice) / (sharesOutstanding + sharesAtNewPrice);
+            }
+            
+            const adjustmentShares = Math.max(0, Math.floor(entry.investment / newConversionPrice) - entry.shares);
+            if (adjustmentShares === 0) {
+                return entry;
+            }
+            
+            totalShares += adjustmentShares;
+            adjustments.push({
+                roundId: entry.roundId,
+                round: entry.round,
+                method: entry.antiDilution,
+                oldConversionPrice: entry.conversionPrice,
+                newConversionPrice: newConversionPrice,
+                shares: adjustmentShares
+            });
+            
+            return {
+                ...entry,
+                conversionPrice: newConversionPrice,
+                antiDilutionShares: entry.antiDilutionShares + adjustmentShares,
+                shares: entry.shares + adjustmentShares,
+                investors: this._allocateShares(entry.investors, entry.shares + adjustmentShares)
+            };
+        });
+        
+        return { liquidationStack, adjustments, totalShares };
+    }
+
+    /**
+     * Split a round's shares between its investors in proportion to the amounts invested
+     * Uses largest remainders so the investors' shares add up to the round total
+     */
+    static _allocateShares(investors, totalShares) {
+        const totalAmount = investors.reduce((total, investor) => total + investor.amount, 0);
+        
+        const allocations = investors.map(investor => {
+            const exact = totalAmount > 0 ? totalShares * investor.amount / totalAmount : totalShares / investors.length;
+            return { investor, shares: Math.floor(exact), remainder: exact % 1 };
+        });
+        
+        let unallocated = totalShares - allocations.reduce((total, allocation) => total + allocation.shares, 0);
+        [...allocations]
+            .sort((a, b) => b.remainder - a.remainder)
+            .forEach(allocation => {
+                if (unallocated > 0) {
+                    allocation.shares++;
+                    unallocated--;
+                }
+            });
+        
+        return allocations.map(({ investor, shares }) => ({ ...investor, shares }));
+    }
+
+    /**
+     * Work out how much of a round existing investors with pro-rata rights take up
+     *
+     * Each rights holder's allocation is their fully diluted ownership before the
+     * round times the round size; they invest the round's take-up % of that. If
+     * follow-on demand exceeds the round, allocations are scaled down to fit.
+     */
+    static _allocateProRata(holdings, totalSharesBefore, round) {
+        const participants = holdings
+            .filter(holding => holding.proRata && holding.shares > 0)
+            .map(holding => {
+                const allocation = round.investment * holding.shares / totalSharesBefore;
+                return {
+                    name: holding.name,
+                    ownershipBefore: (holding.shares / totalSharesBefore) * 100,
+                    allocation: allocation,
+                    amount: allocation * round.proRataTakeUp / 100
+                };
+            });
+        
+        const requested = participants.reduce((total, participant) => total + participant.amount, 0);
+        if (requested > round.investment) {
+            participants.forEach(participant => {
+                participant.amount *= round.investment / requested;
+            });
+        }
+        
+        const active = participants.filter(participant => participant.amount > 0);
+        return {
+            participants: active,
+            totalAmount: active.reduce((total, participant) => total + participant.amount, 0)
+        };
+    }
+
+    /**
+     * Total each named investor's shares across all rounds in a liquidation stack
+     */
+    static _summarizeInvestorHoldings(liquidationStack) {
+        const holdings = new Map();
+        
+        liquidationStack.forEach(entry => {
+            entry.investors.forEach(investor => {
+                const holding = holdings.get(investor.name) || {
+                    name: investor.name,
+                    shares: 0,
+                    invested: 0,
+                    rounds: [],
+                    proRata: false
+                };
+                holding.shares += investor.shares;
+                holding.invested += investor.amount;
+                holding.rounds.push(entry.round);
+                holding.proRata = holding.proRata || Boolean(investor.proRata);
+                holdings.set(investor.name, holding);
+            });
+        });
+        
+        return [...holdings.values()];
+    }
+
+    /**
+     * Break each stage's change in founder and ESOP ownership down by cause
+     *
+     * The dilution of the holdings carried into a stage is shared between the new
+     * shares in proportion to their number; the pool top-up also adds its own shares
+     * to the ESOP. Whatever is left of the change, such as secondary sales, warrants
+     * and share events, is reported as other. Changes are in percentage points.
+     */
+    static calculateDilutionAttribution(capTableEvolution) {
+        try {
+            return capTableEvolution.slice(1).map((stage, index) => {
+                const previous = capTableEvolution[index];
+                const issued = CONFIG.DILUTION_CAUSES
+                    .filter(cause => cause.field)
+                    .map(cause => ({ cause, shares: stage[cause.field] }));
+                const issuedShares = issued.reduce((total, item) => total + item.shares, 0);
+                const sharesAfterIssue = previous.totalShares + issuedShares;
+                
+                const percent = (shares, total) => total > 0 ? (shares / total) * 100 : 0;
+                const attribute = (sharesBefore, sharesAfter, ownGain) => {
+                    const before = percent(sharesBefore, previous.totalShares);
+                    const after = percent(sharesAfter, stage.totalShares);
+                    const dilution = issuedShares > 0 ? percent(sharesBefore, sharesAfterIssue) - before : 0;
+                    
+                    const changes = issued.map(({ cause, shares }) =>
+                        dilution * shares / (issuedShares || 1) + (ownGain === cause.value ? percent(shares, sharesAfterIssue) : 0)
+                    );
+                    const attributed = changes.reduce((total, change) => total + change, 0);
+                    const other = after - before - attributed;
+                    
+                    return { before, after, changes: [...changes, Math.abs(other) < 1e-9 ? 0 : other] };
+                };
+                
+                const founders = attribute(previous.founderShares, stage.founderShares, null);
+                const esop = attribute(previous.optionPoolShares, stage.optionPoolShares, 'optionPoolTopUp');
+                
+                return {
+                    stage: stage.stage,
+                    year: stage.year,
+                    founderBefore: founders.before,
+                    founderAfter: founders.after,
+                    esopBefore: esop.before,
+                    esopAfter: esop.after,
+                    causes: CONFIG.DILUTION_CAUSES.map((cause, i) => ({
+                        cause: cause.value,
+                        label: cause.label,
+                        shares: cause.field ? stage[cause.field] : null,
+                        founderChange: founders.changes[i],
+                        esopChange: esop.changes[i]
+                    }))
+                };
+            });
+            
+        } catch (error) {
+            throw new CalculationError(
+                'dilution_attribution',
+                `Failed to attribute dilution: ${error.message}`,
+                { stages: capTableEvolution?.length }
+            );
+        }
+    }
+
     /**
      * Calculate returns analysis
+     * Conversion breakpoints take a search per preferred class, so they are only found
+     * when asked for rather than on every run of a sensitivity, solver or simulation
      */
-    static calculateReturns(capTableEvolution, company) {
+    static calculateReturns(capTableEvolution, company, includeBreakpoints = false) {
         try {
             if (!capTableEvolution || capTableEvolution.length === 0) {
                 throw new DataError('cap_table', 'Cap table evolution is empty');
             }
             
             const finalStage = capTableEvolution[capTableEvolution.length - 1];
-            const exitValuation = company.exitValuation;
+            const exitValuation = company.getExitValuation();
             const exitYear = company.exitYear;
             
-            // Calculate basic returns based on ownership percentages
-            const founderReturn = (finalStage.founderOwnership / 100) * exitValuation;
-            const esopReturn = (finalStage.optionPoolOwnership / 100) * exitValuation;
-            const totalInvestorReturn = (finalStage.investorOwnership / 100) * exitValuation;
+            // Run the liquidation waterfall to find what each holder is actually paid
+            const waterfall = this.calculateLiquidationWaterfall(
+                finalStage,
+                exitValuation,
+                exitYear,
+                company.getWarrantsAt(exitYear)
+            );
+            const totalInvestorReturn = waterfall.rounds.reduce((total, payout) => total + payout.total, 0);
             
             // Calculate individual round returns
             const roundReturns = this._calculateRoundReturns(
                 company.rounds,
-                finalStage.liquidationStack,
-                exitValuation,
-                exitYear
+                waterfall.rounds,
+                company
             );
             
+            // Shares sold before exit, on secondary or back to the company
+            const secondaryTransfers = capTableEvolution.flatMap(stage => stage.secondaryTransfers);
+            const retirements = capTableEvolution.flatMap(stage => stage.retirements);
+            const shareSales = [...secondaryTransfers, ...retirements];
+            
+            // Calculate returns for each named investor across their rounds
+            const investorReturns = this._calculateInvestorReturns(waterfall.rounds, company, shareSales);
+            
+            // Founders' exit proceeds alongside the cash they took off the table before exit
+            const founderReturns = this._calculateFounderVesting(
+                finalStage.founderHoldings,
+                waterfall.founderPayouts,
+                exitYear,
+                company.terminatedAtExit
+            ).map(founder => ({
+                ...founder,
+                saleProceeds: shareSales
+                    .filter(sale => sale.sellerType === 'founder' && sale.seller === founder.name)
+                    .reduce((total, sale) => total + sale.proceeds, 0)
+            }));
+            
             // Create returns analysis
             const returns = new ReturnsAnalysis({
                 exitValuation: exitValuation,
                 exitYear: exitYear,
-                founderReturn: founderReturn,
-                esopReturn: esopReturn,
+                founderReturn: waterfall.founders,
+                founderReturns: founderReturns,
+                secondaryTransfers: secondaryTransfers,
+                retirements: retirements,
+                optionGrantReturns: this._calculateOptionGrantReturns(
+                    company.getOptionGrantsAt(exitYear),
+                    waterfall.commonPricePerShare,
+                    exitYear,
+                    company.terminatedAtExit
+                ),
+                conversionBreakpoints: includeBreakpoints
+                    ? this.calculateConversionBreakpoints(finalStage, exitYear, company.getWarrantsAt(exitYear))
+                    : [],
+                revenueMetrics: this._calculateRevenueMetrics(company),
+                warrantReturns: waterfall.warrants,
+                warrantReturn: waterfall.warrants.reduce((total, payout) => total + payout.netProceeds, 0),
+                esopReturn: waterfall.esop,
                 totalInvestorReturn: totalInvestorReturn,
                 roundReturns: roundReturns,
-                liquidationWaterfall: [], // Simplified for now
+                investorReturns: investorReturns,
+                liquidationWaterfall: waterfall.steps,
                 finalOwnership: {
                     founders: finalStage.founderOwnership,
                     esop: finalStage.optionPoolOwnership,
+                    warrants: finalStage.warrantOwnership,
                     investors: finalStage.investorOwnership
                 }
             });
@@ -213,41 +1137,551 @@ class CapTableCalculator {
     }
 
     /**
-     * Calculate returns for individual rounds
+     * Compare exit revenue with the revenue and multiples of the funding rounds
+     * Revenue growth is measured from the latest round that reports revenue
      */
-    static _calculateRoundReturns(rounds, liquidationStack, exitValuation, exitYear) {
-        const roundReturns = [];
+    static _calculateRevenueMetrics(company) {
+        const roundsWithRevenue = company.getRoundsByYear().filter(round => round.revenue > 0);
+        const lastRound = roundsWithRevenue[roundsWithRevenue.length - 1] || null;
+        const years = lastRound ? DateUtils.yearsBetween(lastRound.year, company.exitYear) : 0;
+        const roundMultiples = roundsWithRevenue.map(round => round.getRevenueMultiple());
         
-        for (const round of rounds) {
-            try {
-                const yearsHeld = DateUtils.yearsBetween(round.year, exitYear);
-                
-                // Find this round's entry in the liquidation stack
-                const roundEntry = liquidationStack.find(
-                    entry => entry.round === round.type && entry.year === round.year
-                );
-                
-                if (!roundEntry) {
-                    console.warn(`No liquidation stack entry found for ${round.type} round`);
-                    continue;
-                }
-                
-                // Calculate return based on actual ownership percentage
-                const investorReturn = (roundEntry.ownershipPercent / 100) * exitValuation;
+        return {
+            exitRevenue: company.exitRevenue,
+            exitRevenueMultiple: company.getExitRevenueMultiple(),
+            lastRound: lastRound ? lastRound.type : null,
+            lastRoundYear: lastRound ? lastRound.year : null,
+            lastRoundRevenue: lastRound ? lastRound.revenue : 0,
+            impliedRevenueGrowth: lastRound && company.exitRevenue > 0 && years > 0
+                ? (Math.pow(company.exitRevenue / lastRound.revenue, 1 / years) - 1) * 100
+                : null,
+            highestRoundMultiple: roundMultiples.length > 0 ? Math.max(...roundMultiples) : null
+        };
+    }
+
+    /**
+     * Calculate liquidation waterfall at exit
+     *
+     * Preferences are paid in order of seniority, most senior first; rounds of equal
+     * seniority share pro rata when the proceeds cannot cover them all. Participating
+     * rounds then share what is left with common, up to any participation cap;
+     * non-participating and capped rounds convert to common whenever that pays
+     * them more than their preference.
+     * SAFEs and notes still outstanding at exit rank with the seniority they would
+     * convert with, and take the greater of their purchase amount and their
+     * as-converted value.
+     */
+    static calculateLiquidationWaterfall(finalStage, exitValuation, exitYear = finalStage.year, warrants = finalStage.warrants) {
+        try {
+            const exitConversion = this._convertInstruments(
+                finalStage.pendingConversions,
+                null,
+                finalStage.totalShares,
+                exitYear
+            );
+            const outstandingInstruments = exitConversion.conversions.map(converted => ({
+                roundId: converted.roundId,
+                round: converted.round,
+                shareClass: converted.shareClass || converted.round,
+                year: converted.year,
+                date: converted.date,
+                investment: converted.amount,
+                preferenceMultiple: 1,
+                participating: false,
+                participationCap: null,
+                seniority: converted.seniority,
+                dividend: null,
+                shares: converted.shares,
+                investors: this._allocateShares(converted.investors, converted.shares)
+            }));
+            
+            // Preferred dividends accrued up to exit add to the preference, or to the shares if paid in kind
+            const liquidationStack = [...finalStage.liquidationStack, ...outstandingInstruments].map(entry => {
+                const accrued = this._accrueDividend(entry, exitYear);
+                return {
+                    ...entry,
+                    shares: entry.shares + accrued.shares,
+                    accruedDividend: accrued.amount,
+                    dividendShares: accrued.shares,
+                    dividendPreference: accrued.preference
+                };
+            });
+            
+            // Warrants are exercised if the common price is above their exercise price, but exercising
+            // changes that price, so start with none exercised and repeat until the decisions settle
+            let exercises = this._exerciseWarrants(warrants, null);
+            let distribution = this._resolveConversions(liquidationStack, finalStage, exitValuation, exercises);
+            
+            for (let iteration = 0; iteration < CONFIG.CONVERSION.MAX_ITERATIONS && warrants.length > 0; iteration++) {
+                const next = this._exerciseWarrants(warrants, distribution.commonPricePerShare);
+                if (next.every((exercise, i) => Math.abs(exercise.sharesIssued - exercises[i].sharesIssued) < 1)) break;
+                
+                exercises = next;
+                distribution = this._resolveConversions(liquidationStack, finalStage, exitValuation, exercises);
+            }
+            
+            return distribution;
+            
+        } catch (error) {
+            throw new CalculationError(
+                'liquidation_waterfall',
+                `Failed to calculate liquidation waterfall: ${error.message}`,
+                { exitValuation, liquidationStack: finalStage.liquidationStack }
+            );
+        }
+    }
+
+    /**
+     * Accrue a liquidation stack entry's preferred dividend from its round year to exit
+     *
+     * Cash dividends add to the preference, but only if cumulative; a non-cumulative
+     * dividend is never declared so nothing is owed at exit. Dividends paid in kind are
+     * issued as extra shares at the issue price each year, so they accrue either way
+     * and carry the class's preference multiple.
+     */
+    static _accrueDividend(entry, exitYear) {
+        const terms = entry.dividend;
+        if (!terms || (terms.payment === 'cash' && !terms.cumulative)) {
+            return { amount: 0, shares: 0, preference: 0 };
+        }
+        
+        const years = DateUtils.yearsBetween(terms.startYear, exitYear);
+        const rate = terms.rate / 100;
+        const factor = terms.compounding === 'compound' ? Math.pow(1 + rate, years) - 1 : rate * years;
+        const amount = entry.investment * factor;
+        
+        if (terms.payment === 'pik') {
+            const shares = entry.issuePrice > 0 ? Math.floor(amount / entry.issuePrice) : 0;
+            return { amount: amount, shares: shares, preference: shares * entry.issuePrice * entry.preferenceMultiple };
+        }
+        
+        return { amount: amount, shares: 0, preference: amount };
+    }
+
+    /**
+     * Find the exit values at which each preferred class's terms take effect
+     *
+     * For every class with a preference: the exit equity value at which the preference
+     * is paid in full, at which any participation cap is reached, and above which the
+     * class converts to common. Each is found by bisection on the liquidation waterfall,
+     * so seniority, conversion decisions and warrant exercises are all accounted for.
+     */
+    static calculateConversionBreakpoints(finalStage, exitYear = finalStage.year, warrants = finalStage.warrants) {
+        try {
+            const waterfallAt = exitValue => this.calculateLiquidationWaterfall(finalStage, exitValue, exitYear, warrants);
+            const baseline = waterfallAt(0);
+            const totalPreference = baseline.rounds.reduce((total, payout) => total + payout.preferenceAmount, 0);
+            
+            return baseline.rounds
+                .map((payout, index) => ({ payout, index }))
+                .filter(({ payout }) => payout.preferenceAmount > 0)
+                .map(({ payout, index }) => ({
+                    roundId: payout.roundId,
+                    round: payout.round,
+                    shareClass: payout.shareClass,
+                    shares: payout.shares,
+                    ownershipPercent: payout.ownershipPercent,
+                    preferenceAmount: payout.preferenceAmount,
+                    participating: payout.participating,
+                    participationCap: payout.participationCap,
+                    preferenceCoveredAt: this._findBreakpoint(exitValue => {
+                        const classPayout = waterfallAt(exitValue).rounds[index];
+                        return classPayout.converted || classPayout.preference >= classPayout.preferenceAmount - 0.005;
+                    }, totalPreference),
+                    participationCapAt: payout.capAmount === null
+                        ? null
+                        : this._findBreakpoint(exitValue => {
+                            const classPayout = waterfallAt(exitValue).rounds[index];
+                            return classPayout.converted || classPayout.total >= classPayout.capAmount - 0.005;
+                        }, totalPreference),
+                    // Uncapped participating classes take their preference and their share of the remainder, so never convert
+                    conversionAt: payout.participating && payout.capAmount === null
+                        ? null
+                        : this._findBreakpoint(exitValue => waterfallAt(exitValue).rounds[index].converted, totalPreference)
+                }));
+            
+        } catch (error) {
+            throw new CalculationError(
+                'conversion_breakpoints',
+                `Failed to calculate conversion breakpoints: ${error.message}`,
+                { liquidationStack: finalStage.liquidationStack }
+            );
+        }
+    }
+
+    /**
+     * Find the lowest exit value at which a condition holds, assuming it keeps holding above it
+     * Returns null if the condition is not met below the maximum valuation
+     */
+    static _findBreakpoint(isReached, startValue) {
+        let high = Math.max(startValue, CONFIG.BREAKPOINTS.TOLERANCE);
+        while (!isReached(high)) {
+            high *= 2;
+            if (high > CONFIG.VALIDATION.MAX_VALUATION) {
+                return null;
+            }
+        }
+        
+        let low = 0;
+        for (let i = 0; i < CONFIG.BREAKPOINTS.MAX_ITERATIONS && high - low > CONFIG.BREAKPOINTS.TOLERANCE; i++) {
+            const mid = (low + high) / 2;
+            if (isReached(mid)) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+        
+        return high;
+    }
+
+    /**
+     * Decide which non-participating classes convert to common and distribute the proceeds
+     */
+    static _resolveConversions(liquidationStack, finalStage, exitValuation, exercises) {
+        const classes = liquidationStack.map(entry => ({
+            entry: entry,
+            shares: entry.shares,
+            preferenceAmount: entry.investment * entry.preferenceMultiple + (entry.dividendPreference || 0),
+            participating: entry.participating,
+            capAmount: entry.participating && entry.participationCap !== null && entry.participationCap !== undefined
+                ? entry.investment * entry.participationCap
+                : null,
+            converted: false
+        }));
+        
+        let distribution = this._distributeProceeds(classes, finalStage, exitValuation, exercises);
+        
+        // Convert non-participating and capped rounds one at a time, cheapest preference per share first
+        let conversionFound = true;
+        while (conversionFound) {
+            conversionFound = false;
+            
+            const candidates = classes
+                .map((cls, index) => ({ cls, index }))
+                .filter(({ cls }) => (!cls.participating || cls.capAmount !== null) && !cls.converted && cls.shares > 0)
+                .sort((a, b) => a.cls.preferenceAmount / a.cls.shares - b.cls.preferenceAmount / b.cls.shares);
+            
+            for (const { cls, index } of candidates) {
+                cls.converted = true;
+                const trial = this._distributeProceeds(classes, finalStage, exitValuation, exercises);
+                
+                if (trial.rounds[index].total > distribution.rounds[index].total + CONFIG.CONVERSION.MIN_GAIN) {
+                    distribution = trial;
+                    conversionFound = true;
+                    break;
+                }
+                
+                cls.converted = false;
+            }
+        }
+        
+        return distribution;
+    }
+
+    /**
+     * Decide how each warrant is treated at a given common share price
+     *
+     * In-the-money warrants are exercised by their chosen method: cash exercise pays
+     * the exercise price for every share, net exercise gives up shares worth the
+     * exercise price instead. Warrants at or below their exercise price expire.
+     */
+    static _exerciseWarrants(warrants, pricePerShare) {
+        return warrants.map(warrant => {
+            if (pricePerShare === null || pricePerShare <= warrant.exercisePrice) {
+                return { ...warrant, status: 'expired', sharesIssued: 0, exerciseCost: 0 };
+            }
+            
+            if (warrant.exercise === 'net') {
+                return {
+                    ...warrant,
+                    status: 'net',
+                    sharesIssued: Math.floor(warrant.shares * (pricePerShare - warrant.exercisePrice) / pricePerShare),
+                    exerciseCost: 0
+                };
+            }
+            
+            return {
+                ...warrant,
+                status: 'cash',
+                sharesIssued: warrant.shares,
+                exerciseCost: warrant.shares * warrant.exercisePrice
+            };
+        });
+    }
+
+    /**
+     * Distribute exit proceeds for a given set of conversion and warrant exercise decisions
+     * Cash paid to exercise warrants is added to the proceeds; warrant shares rank with common
+     */
+    static _distributeProceeds(classes, finalStage, exitValuation, exercises = []) {
+        const steps = [];
+        const exerciseCash = exercises.reduce((total, exercise) => total + exercise.exerciseCost, 0);
+        const warrantShares = exercises.reduce((total, exercise) => total + exercise.sharesIssued, 0);
+        let remaining = exitValuation + exerciseCash;
+        
+        const addStep = (type, recipient, amount) => {
+            remaining -= amount;
+            steps.push({
+                step: steps.length + 1,
+                type: type,
+                recipient: recipient,
+                amount: amount,
+                remaining: remaining
+            });
+        };
+        
+        const commonShares = finalStage.founderShares + finalStage.optionPoolShares + warrantShares;
+        const fullyDilutedShares = classes.reduce((total, cls) => total + cls.shares, commonShares);
+        
+        const rounds = classes.map(cls => ({
+            roundId: cls.entry.roundId,
+            round: cls.entry.round,
+            shareClass: cls.entry.shareClass,
+            year: cls.entry.year,
+            date: cls.entry.date,
+            secondary: Boolean(cls.entry.secondary),
+            shares: cls.shares,
+            preferenceAmount: cls.preferenceAmount,
+            participating: cls.participating,
+            participationCap: cls.capAmount !== null ? cls.entry.participationCap : null,
+            capAmount: cls.capAmount,
+            accruedDividend: cls.entry.accruedDividend || 0,
+            dividendShares: cls.entry.dividendShares || 0,
+            ownershipPercent: fullyDilutedShares > 0 ? (cls.shares / fullyDilutedShares) * 100 : 0,
+            converted: cls.converted,
+            preference: 0,
+            participation: 0,
+            dividend: 0,
+            total: 0
+        }));
+        
+        // Pay preferences by seniority, most senior first; a tier that cannot be paid in full shares pro rata
+        const preferred = classes
+            .map((cls, i) => i)
+            .filter(i => !classes[i].converted && classes[i].preferenceAmount > 0)
+            .reverse();
+        const seniorities = [...new Set(preferred.map(i => classes[i].entry.seniority))].sort((a, b) => b - a);
+        
+        seniorities.forEach(seniority => {
+            const tier = preferred.filter(i => classes[i].entry.seniority === seniority);
+            const owed = tier.reduce((total, i) => total + classes[i].preferenceAmount, 0);
+            const paid = Math.max(0, Math.min(remaining, owed));
+            
+            tier.forEach(i => {
+                const amount = paid * classes[i].preferenceAmount / owed;
+                const dividend = amount * (classes[i].entry.dividendPreference || 0) / classes[i].preferenceAmount;
+                rounds[i].preference = amount;
+                addStep('preference', classes[i].entry.round, amount - dividend);
+                if (dividend > 0) {
+                    addStep('dividend', classes[i].entry.round, dividend);
+                }
+            });
+        });
+        
+        // Share the remainder between common, converted and participating shares.
+        // A capped class stops at its cap and the excess goes to the other shares.
+        const capped = new Set();
+        let pricePerShare = 0;
+        for (let iteration = 0; iteration <= classes.length; iteration++) {
+            const cappedAmount = [...capped].reduce(
+                (total, i) => total + Math.max(0, classes[i].capAmount - rounds[i].preference),
+                0
+            );
+            const sharingShares = classes.reduce(
+                (total, cls, i) => total + ((cls.converted || cls.participating) && !capped.has(i) ? cls.shares : 0),
+                commonShares
+            );
+            pricePerShare = sharingShares > 0 ? Math.max(0, remaining - cappedAmount) / sharingShares : 0;
+            
+            const newlyCapped = classes
+                .map((cls, i) => i)
+                .filter(i => !capped.has(i) && !classes[i].converted && classes[i].capAmount !== null &&
+                    rounds[i].preference + classes[i].shares * pricePerShare > classes[i].capAmount);
+            if (newlyCapped.length === 0) break;
+            newlyCapped.forEach(i => capped.add(i));
+        }
+        
+        classes.forEach((cls, i) => {
+            if (!cls.converted && !cls.participating) return;
+            
+            const amount = capped.has(i)
+                ? Math.max(0, cls.capAmount - rounds[i].preference)
+                : cls.shares * pricePerShare;
+            rounds[i].participation = amount;
+            const type = cls.entry.common ? 'common' : cls.converted ? 'conversion' : 'participation';
+            addStep(type, cls.entry.round, amount);
+        });
+        
+        const founderPayouts = finalStage.founderHoldings.map(holding => ({
+            name: holding.name,
+            shares: holding.shares,
+            ownershipPercent: fullyDilutedShares > 0 ? (holding.shares / fullyDilutedShares) * 100 : 0,
+            proceeds: holding.shares * pricePerShare
+        }));
+        founderPayouts.forEach(payout => addStep('common', payout.name, payout.proceeds));
+        
+        const founders = finalStage.founderShares * pricePerShare;
+        const esop = finalStage.optionPoolShares * pricePerShare;
+        addStep('common', 'ESOP', esop);
+        
+        const warrantPayouts = exercises.map(exercise => {
+            const proceeds = exercise.sharesIssued * pricePerShare;
+            return { ...exercise, proceeds: proceeds, netProceeds: proceeds - exercise.exerciseCost };
+        });
+        warrantPayouts
+            .filter(payout => payout.sharesIssued > 0)
+            .forEach(payout => addStep('warrant', `${payout.holder} (${payout.shareClass} warrant)`, payout.proceeds));
+        
+        rounds.forEach((payout, i) => {
+            payout.total = payout.preference + payout.participation;
+            
+            // The dividend's share of the preference, plus what its in-kind shares took as participation
+            const entry = classes[i].entry;
+            payout.dividend = (payout.preferenceAmount > 0 ? payout.preference * (entry.dividendPreference || 0) / payout.preferenceAmount : 0) +
+                (payout.shares > 0 ? payout.participation * payout.dividendShares / payout.shares : 0);
+            
+            // Investors in a round share its payout pro rata; preference claims follow the amount invested.
+            // In-kind dividend shares are issued pro rata, so participation follows the shares originally held.
+            const investors = entry.investors;
+            const investedTotal = investors.reduce((total, investor) => total + investor.amount, 0);
+            const heldShares = payout.shares - payout.dividendShares;
+            payout.investors = investors.map(investor => ({
+                name: investor.name,
+                investment: investor.amount,
+                shares: investor.shares,
+                proceeds: investedTotal > 0
+                    ? payout.preference * investor.amount / investedTotal +
+                      (heldShares > 0 ? payout.participation * investor.shares / heldShares : 0)
+                    : 0
+            }));
+        });
+        
+        return {
+            steps: steps,
+            founders: founders,
+            founderPayouts: founderPayouts,
+            esop: esop,
+            warrants: warrantPayouts,
+            rounds: rounds,
+            commonPricePerShare: pricePerShare
+        };
+    }
+
+    /**
+     * Split each founder's exit proceeds into vested and unvested shares
+     * Acceleration applies on exit, and for double trigger only if the founder is terminated
+     */
+    static _calculateFounderVesting(founderHoldings, founderPayouts, exitYear, terminatedAtExit) {
+        return founderPayouts.map(payout => {
+            const holding = founderHoldings.find(h => h.name === payout.name);
+            const vesting = holding ? holding.vesting : null;
+
+            const vestedShares = vesting ? Math.floor(payout.shares * vesting.getVestedFraction(exitYear)) : payout.shares;
+            const entitledShares = vesting
+                ? Math.floor(payout.shares * vesting.getExitVestedFraction(exitYear, terminatedAtExit))
+                : payout.shares;
+            const unvestedProceeds = payout.shares > 0 ? payout.proceeds * (payout.shares - entitledShares) / payout.shares : 0;
+
+            return {
+                ...payout,
+                vestedShares: vestedShares,
+                acceleratedShares: entitledShares - vestedShares,
+                unvestedShares: payout.shares - entitledShares,
+                entitledProceeds: payout.proceeds - unvestedProceeds,
+                unvestedProceeds: unvestedProceeds
+            };
+        });
+    }
+
+    /**
+     * Value each option grant at the exit common share price
+     * Outstanding options are worth the spread over their strike; exercised options are worth the full price
+     */
+    static _calculateOptionGrantReturns(optionGrants, commonPricePerShare, exitYear, terminatedAtExit) {
+        return optionGrants.map(grant => {
+            const vestedOptions = grant.vesting
+                ? Math.floor(grant.options * grant.vesting.getVestedFraction(exitYear))
+                : grant.options;
+            const entitledOptions = grant.vesting
+                ? Math.floor(grant.options * grant.vesting.getExitVestedFraction(exitYear, terminatedAtExit))
+                : grant.options;
+            const valuePerOption = grant.status === 'exercised'
+                ? commonPricePerShare
+                : Math.max(0, commonPricePerShare - grant.strikePrice);
+            
+            return {
+                grantee: grant.grantee,
+                date: grant.date,
+                status: grant.status,
+                options: grant.options,
+                strikePrice: grant.strikePrice,
+                vestedOptions: vestedOptions,
+                acceleratedOptions: entitledOptions - vestedOptions,
+                unvestedOptions: grant.options - entitledOptions,
+                value: grant.options * valuePerOption,
+                entitledProceeds: entitledOptions * valuePerOption
+            };
+        });
+    }
+
+    /**
+     * Calculate returns for individual rounds
+     * IRR runs over the round's dated tranches and its exit proceeds, less any escrow released later
+     */
+    static _calculateRoundReturns(rounds, roundPayouts, company) {
+        const roundReturns = [];
+        
+        for (const round of rounds) {
+            try {
+                const yearsHeld = Math.max(0, DateUtils.monthsBetween(round.getDate(), company.getExitDate()) / 12);
+                
+                // Find this round's payouts from the waterfall, including shares since sold on secondary
+                const payouts = roundPayouts.filter(entry => entry.roundId === round.id);
+                
+                if (payouts.length === 0) {
+                    console.warn(`No waterfall payout found for ${round.type} round`);
+                    continue;
+                }
+                
+                const sumPayouts = field => payouts.reduce((total, entry) => total + entry[field], 0);
+                const payout = {
+                    total: sumPayouts('total'),
+                    preference: sumPayouts('preference'),
+                    participation: sumPayouts('participation'),
+                    dividend: sumPayouts('dividend'),
+                    accruedDividend: sumPayouts('accruedDividend'),
+                    ownershipPercent: sumPayouts('ownershipPercent'),
+                    converted: payouts[0].converted
+                };
+                
+                const investorReturn = payout.total;
                 const multipleOfMoney = round.investment > 0 ? investorReturn / round.investment : 0;
-                const irr = NumberUtils.calculateIRR(round.investment, investorReturn, yearsHeld);
+                const cashFlows = [
+                    ...round.getInvestmentSchedule().map(tranche => ({ date: tranche.date, amount: -tranche.amount })),
+                    ...company.getExitSchedule(investorReturn)
+                ];
+                const irr = NumberUtils.calculateXIRRByMonth(cashFlows);
                 
                 roundReturns.push({
+                    roundId: round.id,
                     round: round.type,
                     year: round.year,
+                    date: round.getDate(),
                     investment: round.investment,
                     yearsHeld: yearsHeld,
                     exitValue: investorReturn,
+                    preferenceReturn: payout.preference,
+                    participationReturn: payout.participation,
+                    accruedDividend: payout.accruedDividend,
+                    dividendReturn: payout.dividend,
+                    converted: payout.converted,
                     multipleOfMoney: multipleOfMoney,
                     irr: irr,
+                    cashFlows: cashFlows,
                     revenue: round.revenue,
                     revenueMultiple: round.getRevenueMultiple() || 0,
-                    ownershipPercent: roundEntry.ownershipPercent
+                    ownershipPercent: payout.ownershipPercent
                 });
                 
             } catch (error) {
@@ -259,66 +1693,657 @@ class CapTableCalculator {
         return roundReturns;
     }
 
+    /**
+     * Calculate returns for each named investor, combining all rounds they invested in
+     * Primary investments follow their round's tranches; shares sold before exit count
+     * at their original cost, with the sale price received at the sale date
+     */
+    static _calculateInvestorReturns(roundPayouts, company, shareSales = []) {
+        const investors = new Map();
+        const getInvestor = name => investors.get(name) || {
+            name: name,
+            investment: 0,
+            exitValue: 0,
+            saleProceeds: 0,
+            rounds: [],
+            cashFlows: []
+        };
+        
+        roundPayouts.forEach(payout => {
+            payout.investors.forEach(holding => {
+                const investor = getInvestor(holding.name);
+                
+                investor.investment += holding.investment;
+                investor.exitValue += holding.proceeds;
+                investor.rounds.push(payout.round);
+                
+                const round = payout.secondary ? null : company.rounds.find(r => r.id === payout.roundId);
+                const schedule = round && round.investment > 0
+                    ? round.getInvestmentSchedule()
+                    : [{ date: payout.date, amount: 1 }];
+                const scheduleTotal = schedule.reduce((total, tranche) => total + tranche.amount, 0);
+                schedule.forEach(tranche => investor.cashFlows.push({
+                    date: tranche.date,
+                    amount: -holding.investment * tranche.amount / scheduleTotal
+                }));
+                investors.set(holding.name, investor);
+            });
+        });
+        
+        shareSales
+            .filter(sale => sale.sellerType === 'investor')
+            .forEach(sale => {
+                const investor = getInvestor(sale.seller);
+                
+                investor.investment += sale.costBasis;
+                investor.saleProceeds += sale.proceeds;
+                investor.cashFlows.push({ date: sale.costDate, amount: -sale.costBasis });
+                investor.cashFlows.push({ date: sale.date, amount: sale.proceeds });
+                investors.set(sale.seller, investor);
+            });
+        
+        return [...investors.values()].map(investor => {
+            investor.cashFlows.push(...company.getExitSchedule(investor.exitValue));
+            const totalReturn = investor.exitValue + investor.saleProceeds;
+            
+            return {
+                name: investor.name,
+                rounds: investor.rounds,
+                investment: investor.investment,
+                exitValue: investor.exitValue,
+                saleProceeds: investor.saleProceeds,
+                multipleOfMoney: investor.investment > 0 ? totalReturn / investor.investment : 0,
+                irr: NumberUtils.calculateXIRRByMonth(investor.cashFlows)
+            };
+        });
+    }
+
     /**
      * Calculate scenario sensitivity analysis
+     * Varies one variable of the company or of the selected round in steps
      */
-    static calculateSensitivityScenarios(company, roundIndex, scenarios = CONFIG.SENSITIVITY.SCENARIOS) {
+    static calculateSensitivityScenarios(company, roundIndex, variable = CONFIG.SENSITIVITY.DEFAULT_ROW_VARIABLE, steps = null) {
         try {
             const baselineRound = company.rounds[roundIndex];
             if (!baselineRound) {
                 throw new DataError('round', `Round index ${roundIndex} not found`);
             }
             
-            const scenarioResults = [];
+            const scenarioSteps = steps || this._getDefaultSensitivitySteps(variable);
             
-            for (const scenario of scenarios) {
+            return scenarioSteps.map(step => {
+                const scenario = {
+                    label: this._formatSensitivityStep(variable, step),
+                    step: step
+                };
+                
                 try {
-                    // Create modified company data
                     const modifiedCompany = new Company(company.toObject());
-                    modifiedCompany.rounds[roundIndex].preMoneyValuation = 
-                        baselineRound.preMoneyValuation * scenario.multiplier;
-                    
-                    // Calculate scenario results
-                    const capTable = this.calculateEvolution(modifiedCompany);
-                    const returns = this.calculateReturns(capTable, modifiedCompany);
-                    
-                    // Find the specific round's return data
-                    const roundReturn = returns.roundReturns.find(r => r.round === baselineRound.type);
-                    
-                    scenarioResults.push({
-                        label: scenario.label,
-                        class: scenario.class,
-                        multiplier: scenario.multiplier,
-                        preMoneyValuation: modifiedCompany.rounds[roundIndex].preMoneyValuation,
-                        founderReturn: returns.founderReturn,
-                        esopReturn: returns.esopReturn,
-                        totalInvestorReturn: returns.totalInvestorReturn,
-                        roundMultiple: roundReturn ? roundReturn.multipleOfMoney : 0,
-                        roundIRR: roundReturn ? roundReturn.irr : 0
-                    });
+                    scenario.value = this._applySensitivityStep(modifiedCompany, roundIndex, variable, step);
+                    if (scenario.value === null && step !== 0) {
+                        return { ...scenario, notApplicable: true };
+                    }
+                    return { ...scenario, ...this._runSensitivityScenario(modifiedCompany, baselineRound.id) };
                     
                 } catch (error) {
                     console.error(`Error in scenario ${scenario.label}:`, error);
-                    // Add empty result to maintain array consistency
-                    scenarioResults.push({
-                        label: scenario.label,
-                        class: scenario.class,
-                        error: error.message
-                    });
+                    // Keep the error in place so the scenarios stay aligned with the steps
+                    return { ...scenario, error: error.message };
                 }
-            }
-            
-            return scenarioResults;
+            });
             
         } catch (error) {
             throw new CalculationError(
                 'sensitivity_analysis',
                 `Failed to calculate sensitivity scenarios: ${error.message}`,
-                { roundIndex, company: company.toObject() }
+                { roundIndex, variable, company: company.toObject() }
             );
         }
     }
 
+    /**
+     * Calculate a sensitivity grid varying two variables at once
+     * Each cell holds the scenario results for one row step and one column step
+     */
+    static calculateSensitivityGrid(company, roundIndex, rowVariable, rowSteps, columnVariable, columnSteps) {
+        try {
+            const baselineRound = company.rounds[roundIndex];
+            if (!baselineRound) {
+                throw new DataError('round', `Round index ${roundIndex} not found`);
+            }
+            if (rowVariable === columnVariable) {
+                throw new DataError('sensitivity', 'Choose two different variables for the grid');
+            }
+            
+            const describeSteps = (variable, steps) => steps.map(step => {
+                const modifiedCompany = new Company(company.toObject());
+                const value = this._applySensitivityStep(modifiedCompany, roundIndex, variable, step);
+                return {
+                    label: this._formatSensitivityStep(variable, step),
+                    step: step,
+                    value: value,
+                    notApplicable: value === null && step !== 0
+                };
+            });
+            
+            const rows = describeSteps(rowVariable, rowSteps || this._getDefaultSensitivitySteps(rowVariable));
+            const columns = describeSteps(columnVariable, columnSteps || this._getDefaultSensitivitySteps(columnVariable));
+            
+            const cells = rows.map(row => columns.map(column => {
+                if (row.notApplicable || column.notApplicable) {
+                    return { notApplicable: true };
+                }
+                
+                try {
+                    const modifiedCompany = new Company(company.toObject());
+                    this._applySensitivityStep(modifiedCompany, roundIndex, rowVariable, row.step);
+                    this._applySensitivityStep(modifiedCompany, roundIndex, columnVariable, column.step);
+                    return this._runSensitivityScenario(modifiedCompany, baselineRound.id);
+                    
+                } catch (error) {
+                    console.error(`Error in grid scenario ${row.label} / ${column.label}:`, error);
+                    return { error: error.message };
+                }
+            }));
+            
+            return { rowVariable, columnVariable, rows, columns, cells };
+            
+        } catch (error) {
+            throw new CalculationError(
+                'sensitivity_grid',
+                `Failed to calculate sensitivity grid: ${error.message}`,
+                { roundIndex, rowVariable, columnVariable }
+            );
+        }
+    }
+
+    /**
+     * Apply one sensitivity step to a copy of the company and return the variable's new value
+     * Returns null when the step cannot apply, such as a pool step for a round that does not top up the pool
+     */
+    static _applySensitivityStep(company, roundIndex, variable, step) {
+        const round = company.rounds[roundIndex];
+        const factor = 1 + step / 100;
+        
+        switch (variable) {
+            case 'preMoneyValuation':
+                round.preMoneyValuation *= factor;
+                return round.preMoneyValuation;
+            case 'investment':
+                // Named investors and tranches scale with the round so their amounts still add up
+                round.investment *= factor;
+                round.investors.forEach(investor => {
+                    investor.amount *= factor;
+                });
+                round.tranches.forEach(tranche => {
+                    tranche.amount *= factor;
+                });
+                return round.investment;
+            case 'exitValuation':
+                company.exitValuation = company.getExitValuation() * factor;
+                company.exitValuationMethod = 'manual';
+                return company.exitValuation;
+            case 'exitYear':
+                company.exitYear += step;
+                return company.exitYear;
+            case 'optionPoolPercent': {
+                // Steps move the pool target this round tops up to, held within the bounds a round's target is validated against
+                const target = round.isConvertible() ? null : round.getOptionPoolTarget(company);
+                if (target === null) return null;
+                
+                const value = Math.min(Math.max(target + step, CONFIG.VALIDATION.MIN_OPTION_POOL), CONFIG.VALIDATION.MAX_OPTION_POOL);
+                if (value === target) return step === 0 ? target : null;
+                
+                round.optionPoolTarget = value;
+                return value;
+            }
+            default:
+                throw new DataError('sensitivity', `Unknown sensitivity variable: ${variable}`);
+        }
+    }
+
+    /**
+     * Run the cap table and returns for one sensitivity scenario
+     */
+    static _runSensitivityScenario(company, roundId) {
+        const capTable = this.calculateEvolution(company);
+        const returns = this.calculateReturns(capTable, company);
+        
+        // Find the specific round's return data
+        const roundReturn = returns.roundReturns.find(r => r.roundId === roundId);
+        
+        return {
+            preMoneyValuation: company.rounds.find(round => round.id === roundId).preMoneyValuation,
+            founderReturn: returns.founderReturn,
+            esopReturn: returns.esopReturn,
+            totalInvestorReturn: returns.totalInvestorReturn,
+            roundMultiple: roundReturn ? roundReturn.multipleOfMoney : 0,
+            roundIRR: roundReturn ? roundReturn.irr : 0
+        };
+    }
+
+    /**
+     * Get the default steps for a sensitivity variable
+     */
+    static _getDefaultSensitivitySteps(variable) {
+        const option = CONFIG.SENSITIVITY.VARIABLES.find(candidate => candidate.value === variable);
+        if (!option) {
+            throw new DataError('sensitivity', `Unknown sensitivity variable: ${variable}`);
+        }
+        return CONFIG.SENSITIVITY.STEPS[option.unit];
+    }
+
+    /**
+     * Label a sensitivity step in its variable's unit
+     */
+    static _formatSensitivityStep(variable, step) {
+        if (step === 0) return 'Base';
+        
+        const option = CONFIG.SENSITIVITY.VARIABLES.find(candidate => candidate.value === variable);
+        const suffixes = { percent: '%', years: 'y', points: 'pp' };
+        return `${step > 0 ? '+' : ''}${step}${suffixes[option ? option.unit : 'percent']}`;
+    }
+
+    /**
+     * Solve for one input of a round that gives a target value of one of its stage outputs
+     *
+     * Bisects the input between its limits, recalculating the cap table evolution each
+     * time, so pool top-ups, conversions, pro-rata and anti-dilution are all accounted
+     * for. The target must lie between the outputs at the two limits, and the solved
+     * value is the one nearest the crossover whose output is at or above the target.
+     */
+    static solveRoundGoal(company, roundIndex, target, targetValue, input) {
+        try {
+            const round = company.rounds[roundIndex];
+            if (!round) {
+                throw new DataError('round', `Round index ${roundIndex} not found`);
+            }
+            if (round.isConvertible()) {
+                throw new DataError('goal_seek', 'Goal seek only applies to priced rounds');
+            }
+            
+            const targetOption = CONFIG.GOAL_SEEK.TARGETS.find(option => option.value === target);
+            const inputOption = CONFIG.GOAL_SEEK.INPUTS.find(option => option.value === input);
+            if (!targetOption) {
+                throw new DataError('goal_seek', `Unknown goal seek target: ${target}`);
+            }
+            if (!inputOption) {
+                throw new DataError('goal_seek', `Unknown goal seek input: ${input}`);
+            }
+            
+            const outputAt = value => {
+                const modifiedCompany = new Company(company.toObject());
+                this._applyGoalSeekInput(modifiedCompany, roundIndex, input, value);
+                const stage = this.calculateEvolution(modifiedCompany).find(s => s.round && s.round.id === round.id);
+                return stage[target];
+            };
+            
+            const range = this._getGoalSeekRange(input);
+            let low = range.min;
+            let high = range.max;
+            const lowOutput = outputAt(low);
+            const highOutput = outputAt(high);
+            if ((lowOutput - targetValue) * (highOutput - targetValue) > 0) {
+                throw new DataError(
+                    'goal_seek',
+                    `${targetOption.label} of ${targetValue} cannot be reached by changing ${inputOption.label}: it ranges from ${lowOutput.toFixed(2)} to ${highOutput.toFixed(2)}`
+                );
+            }
+            
+            const rising = highOutput > lowOutput;
+            const tolerance = CONFIG.GOAL_SEEK.TOLERANCE[inputOption.unit];
+            for (let i = 0; i < CONFIG.GOAL_SEEK.MAX_ITERATIONS && high - low > tolerance; i++) {
+                const mid = (low + high) / 2;
+                if ((outputAt(mid) < targetValue) === rising) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+            
+            // Keep the side of the crossover at or above the target, so rounded outputs still reach it
+            const bound = rising ? Math.ceil(high / tolerance) : Math.floor(low / tolerance);
+            const value = parseFloat((bound * tolerance).toFixed(2));
+            const currentValue = round[input];
+            
+            return {
+                roundIndex: roundIndex,
+                roundId: round.id,
+                round: round.type,
+                target: target,
+                targetValue: targetValue,
+                input: input,
+                currentValue: currentValue,
+                currentOutput: outputAt(currentValue),
+                value: value,
+                achieved: outputAt(value)
+            };
+            
+        } catch (error) {
+            throw new CalculationError(
+                'goal_seek',
+                `Failed to solve round goal: ${error.message}`,
+                { roundIndex, target, targetValue, input }
+            );
+        }
+    }
+
+    /**
+     * Get the limits a goal seek input is searched between
+     */
+    static _getGoalSeekRange(input) {
+        switch (input) {
+            case 'preMoneyValuation':
+                return { min: CONFIG.VALIDATION.MIN_VALUATION, max: CONFIG.VALIDATION.MAX_VALUATION };
+            case 'investment':
+                return { min: CONFIG.VALIDATION.MIN_INVESTMENT, max: CONFIG.VALIDATION.MAX_INVESTMENT };
+            case 'optionPoolTarget':
+                return { min: 0, max: CONFIG.GOAL_SEEK.MAX_POOL_TARGET };
+            default:
+                throw new DataError('goal_seek', `Unknown goal seek input: ${input}`);
+        }
+    }
+
+    /**
+     * Set a goal seek input on a copy of the company
+     */
+    static _applyGoalSeekInput(company, roundIndex, input, value) {
+        const round = company.rounds[roundIndex];
+        
+        switch (input) {
+            case 'preMoneyValuation':
+                round.preMoneyValuation = value;
+                break;
+            case 'investment': {
+                // Named investors and tranches scale with the round so their amounts still add up
+                const factor = value / round.investment;
+                round.investment = value;
+                round.investors.forEach(investor => {
+                    investor.amount *= factor;
+                });
+                round.tranches.forEach(tranche => {
+                    tranche.amount *= factor;
+                });
+                break;
+            }
+            case 'optionPoolTarget':
+                round.optionPoolTarget = value;
+                break;
+            default:
+                throw new DataError('goal_seek', `Unknown goal seek input: ${input}`);
+        }
+    }
+
+    /**
+     * Find the exit a round needs to reach a target MOIC or IRR
+     *
+     * The minimum exit valuation at the company's exit year is found by bisection on the
+     * liquidation waterfall, so dilution from later rounds, preferences, dividends and
+     * conversion decisions are all accounted for. Optionally also finds the latest exit
+     * year at which the company's exit valuation still reaches the target.
+     */
+    static calculateRequiredExit(capTableEvolution, company, roundIndex, metric, targetValue, findLatestYear = false) {
+        try {
+            if (!capTableEvolution || capTableEvolution.length === 0) {
+                throw new DataError('cap_table', 'Cap table evolution is empty');
+            }
+            
+            const round = company.rounds[roundIndex];
+            if (!round) {
+                throw new DataError('round', `Round index ${roundIndex} not found`);
+            }
+            if (!CONFIG.REQUIRED_EXIT.METRICS.some(option => option.value === metric)) {
+                throw new DataError('required_exit', `Unknown return metric: ${metric}`);
+            }
+            
+            const finalStage = capTableEvolution[capTableEvolution.length - 1];
+            const exitValuation = company.getExitValuation();
+            
+            // Returns depend on the exit date and escrow, so each exit year gets its own copy of the company
+            const metricAtYear = exitYear => {
+                const exitCompany = new Company({ ...company.toObject(), exitYear: exitYear });
+                const warrants = company.getWarrantsAt(exitYear);
+                
+                return value => {
+                    const waterfall = this.calculateLiquidationWaterfall(finalStage, value, exitYear, warrants);
+                    const roundReturn = this._calculateRoundReturns([round], waterfall.rounds, exitCompany)[0];
+                    return roundReturn ? roundReturn[metric] : 0;
+                };
+            };
+            
+            const metricAt = metricAtYear(company.exitYear);
+            const requiredExitValuation = this._findBreakpoint(value => metricAt(value) >= targetValue, round.investment);
+            
+            let latestExitYear = null;
+            if (findLatestYear) {
+                for (let year = CONFIG.VALIDATION.MAX_YEAR; year >= finalStage.year; year--) {
+                    if (metricAtYear(year)(exitValuation) >= targetValue) {
+                        latestExitYear = year;
+                        break;
+                    }
+                }
+            }
+            
+            return {
+                roundIndex: roundIndex,
+                roundId: round.id,
+                round: round.type,
+                year: round.year,
+                investment: round.investment,
+                metric: metric,
+                targetValue: targetValue,
+                currentValue: metricAt(exitValuation),
+                exitValuation: exitValuation,
+                requiredExitValuation: requiredExitValuation,
+                latestExitYear: latestExitYear
+            };
+            
+        } catch (error) {
+            throw new CalculationError(
+                'required_exit',
+                `Failed to calculate required exit: ${error.message}`,
+                { roundIndex, metric, targetValue }
+            );
+        }
+    }
+
+    /**
+     * Find the exit every round needs to reach the same target MOIC or IRR
+     * A round that cannot be solved keeps its place with the error
+     */
+    static calculateRequiredExits(capTableEvolution, company, metric, targetValue, findLatestYear = false) {
+        return company.rounds.map((round, index) => {
+            try {
+                return this.calculateRequiredExit(capTableEvolution, company, index, metric, targetValue, findLatestYear);
+            } catch (error) {
+                console.error(`Error finding required exit for ${round.type}:`, error);
+                return { roundIndex: index, roundId: round.id, round: round.type, year: round.year, error: error.message };
+            }
+        });
+    }
+
+    /**
+     * Run the exit waterfall over a range of exit values
+     *
+     * Sweeps from zero to a multiple of the last post-money valuation, recording
+     * each stakeholder's proceeds and each round's multiple at every point.
+     */
+    static calculateExitSweep(capTableEvolution, company, maxMultiple = CONFIG.EXIT_SWEEP.MAX_MULTIPLE, steps = CONFIG.EXIT_SWEEP.STEPS) {
+        try {
+            if (!capTableEvolution || capTableEvolution.length === 0) {
+                throw new DataError('cap_table', 'Cap table evolution is empty');
+            }
+            
+            const finalStage = capTableEvolution[capTableEvolution.length - 1];
+            const exitYear = company.exitYear;
+            const warrants = company.getWarrantsAt(exitYear);
+            const pricedStages = capTableEvolution.filter(stage => stage.postMoneyValuation > 0);
+            const baseValuation = pricedStages.length > 0
+                ? pricedStages[pricedStages.length - 1].postMoneyValuation
+                : company.getExitValuation();
+            const maxExitValue = baseValuation * maxMultiple;
+            
+            const points = [];
+            for (let i = 0; i <= steps; i++) {
+                const exitValue = maxExitValue * i / steps;
+                const waterfall = this.calculateLiquidationWaterfall(finalStage, exitValue, exitYear, warrants);
+                
+                points.push({
+                    exitValue: exitValue,
+                    founderReturn: waterfall.founders,
+                    founderPayouts: waterfall.founderPayouts,
+                    esopReturn: waterfall.esop,
+                    warrantReturn: waterfall.warrants.reduce((total, payout) => total + payout.netProceeds, 0),
+                    roundReturns: this._calculateRoundReturns(company.rounds, waterfall.rounds, company)
+                });
+            }
+            
+            return points;
+            
+        } catch (error) {
+            throw new CalculationError(
+                'exit_sweep',
+                `Failed to calculate exit sweep: ${error.message}`,
+                { maxMultiple, steps }
+            );
+        }
+    }
+
+    /**
+     * Simulate exit outcomes drawn from the company's exit distribution
+     *
+     * Each trial draws an exit year and valuation and runs the liquidation waterfall
+     * over the cap table as it stands in that year, so rounds raised after the exit
+     * take no part in it and are left out of their round's results.
+     * Draws come from a seeded generator, so the same seed reproduces the same results.
+     * Founders, ESOP and warrants make a loss when an exit pays them nothing; rounds
+     * make a loss when they get back less than they invested.
+     */
+    static calculateMonteCarlo(capTableEvolution, company, distribution = company.exitDistribution) {
+        try {
+            if (!capTableEvolution || capTableEvolution.length === 0) {
+                throw new DataError('cap_table', 'Cap table evolution is empty');
+            }
+            
+            const random = RandomUtils.createGenerator(distribution.seed);
+            const stagesByYear = new Map();
+            const warrantsByYear = new Map();
+            
+            const exitValuations = [];
+            const founderProceeds = [];
+            const esopProceeds = [];
+            const warrantProceeds = [];
+            const roundProceeds = company.rounds.map(() => []);
+            
+            for (let trial = 0; trial < distribution.trials; trial++) {
+                const exit = this._sampleExit(distribution, company, random);
+                if (!stagesByYear.has(exit.exitYear)) {
+                    // The last stage by the exit year, or the incorporation stage for an exit before any round
+                    const stages = capTableEvolution.filter(stage => stage.year <= exit.exitYear);
+                    stagesByYear.set(exit.exitYear, stages.length > 0 ? stages[stages.length - 1] : capTableEvolution[0]);
+                }
+                if (!warrantsByYear.has(exit.exitYear)) {
+                    warrantsByYear.set(exit.exitYear, company.getWarrantsAt(exit.exitYear));
+                }
+                
+                const waterfall = this.calculateLiquidationWaterfall(
+                    stagesByYear.get(exit.exitYear),
+                    exit.exitValuation,
+                    exit.exitYear,
+                    warrantsByYear.get(exit.exitYear)
+                );
+                
+                exitValuations.push(exit.exitValuation);
+                founderProceeds.push(waterfall.founders);
+                esopProceeds.push(waterfall.esop);
+                warrantProceeds.push(waterfall.warrants.reduce((total, payout) => total + payout.netProceeds, 0));
+                company.rounds.forEach((round, index) => {
+                    if (round.year > exit.exitYear) return;
+                    roundProceeds[index].push(waterfall.rounds
+                        .filter(payout => payout.roundId === round.id)
+                        .reduce((total, payout) => total + payout.total, 0));
+                });
+            }
+            
+            return {
+                type: distribution.type,
+                trials: distribution.trials,
+                seed: distribution.seed,
+                exitValuation: this._summarizeTrials(exitValuations, value => value <= 0),
+                founders: this._summarizeTrials(founderProceeds, value => value <= 0),
+                esop: this._summarizeTrials(esopProceeds, value => value <= 0),
+                warrants: company.warrants.length > 0
+                    ? this._summarizeTrials(warrantProceeds, value => value <= 0)
+                    : null,
+                rounds: company.rounds.map((round, index) => ({
+                    roundId: round.id,
+                    round: round.type,
+                    investment: round.investment,
+                    // Trials with an exit after the round; a round raised after every exit has no results
+                    trials: roundProceeds[index].length,
+                    proceeds: roundProceeds[index].length > 0
+                        ? this._summarizeTrials(roundProceeds[index], value => value < round.investment)
+                        : null,
+                    multipleOfMoney: roundProceeds[index].length > 0
+                        ? this._summarizeTrials(
+                            roundProceeds[index].map(value => round.investment > 0 ? value / round.investment : 0),
+                            value => value < 1
+                        )
+                        : null
+                }))
+            };
+            
+        } catch (error) {
+            throw new CalculationError(
+                'monte_carlo',
+                `Failed to run Monte Carlo simulation: ${error.message}`,
+                { distribution: distribution.toObject() }
+            );
+        }
+    }
+
+    /**
+     * Draw one exit year and valuation from an exit distribution
+     */
+    static _sampleExit(distribution, company, random) {
+        if (distribution.type === 'discrete') {
+            // Walk the outcome table until the draw falls inside an outcome's probability
+            let draw = random() * 100;
+            const outcome = distribution.outcomes.find(candidate => (draw -= candidate.probability) < 0) ||
+                distribution.outcomes[distribution.outcomes.length - 1];
+            
+            return {
+                exitYear: outcome.exitYear || company.exitYear,
+                exitValuation: outcome.exitValuation
+            };
+        }
+        
+        // A blank end of the exit year range falls back to the company's exit year
+        const earliestYear = Math.min(distribution.exitYearMin || company.exitYear, distribution.exitYearMax || company.exitYear);
+        const latestYear = Math.max(distribution.exitYearMin || company.exitYear, distribution.exitYearMax || company.exitYear);
+        
+        return {
+            exitYear: earliestYear + Math.floor(random() * (latestYear - earliestYear + 1)),
+            exitValuation: company.getExitValuation() * Math.exp(distribution.volatility / 100 * RandomUtils.normal(random))
+        };
+    }
+
+    /**
+     * Summarise trial results as a mean, percentiles and probability of loss
+     */
+    static _summarizeTrials(values, isLoss) {
+        const sorted = [...values].sort((a, b) => a - b);
+        
+        return {
+            mean: values.reduce((total, value) => total + value, 0) / values.length,
+            percentiles: CONFIG.MONTE_CARLO.PERCENTILES.map(percentile => ({
+                percentile: percentile,
+                value: NumberUtils.calculatePercentile(sorted, percentile)
+            })),
+            probabilityOfLoss: NumberUtils.calculatePercentage(values.filter(isLoss).length, values.length, 2)
+        };
+    }
+
     /**
      * Calculate UK tax benefits
      */
@@ -9,6 +9,9 @@ const CONFIG = {
         EXIT_YEARS_AHEAD: 6,
         EXIT_VALUATION: 100_000_000,
         EXIT_MULTIPLE: 5,
+        EXIT_REVENUE: 0,
+        EXIT_VALUATION_METHOD: 'manual',
+        EXIT_MONTH: 1,
         CURRENCY: 'GBP',
         
         // Funding round defaults
@@ -16,9 +19,68 @@ const CONFIG = {
             PRE_MONEY_VALUATION: 5_000_000,
             INVESTMENT: 1_000_000,
             REVENUE: 0,
-            LIQUIDATION_PREF: '1x',
+            PREFERENCE_MULTIPLE: 1,
+            PARTICIPATING: false,
+            PARTICIPATION_CAP: null,
+            SENIORITY: 'senior',
+            SENIORITY_TIER: 1,
+            DIVIDEND_RATE: 0,
+            DIVIDEND_CUMULATIVE: true,
+            DIVIDEND_COMPOUNDING: 'simple',
+            DIVIDEND_PAYMENT: 'cash',
             ANTI_DILUTION: 'none',
-            DISCOUNT_RATE: 0
+            DISCOUNT_RATE: 0,
+            VALUATION_CAP: 0,
+            SAFE_TYPE: 'post-money',
+            INTEREST_RATE: 0,
+            OPTION_POOL_TARGET: null,
+            OPTION_POOL_TIMING: 'post-money',
+            PRO_RATA_RIGHTS: false,
+            PRO_RATA_TAKE_UP: 100,
+            MONTH: 1
+        },
+        
+        // Share of exit proceeds held in escrow and released later
+        ESCROW: {
+            PERCENT: 0,
+            MONTHS: 12
+        },
+        
+        // Vesting schedule defaults
+        VESTING: {
+            DURATION_MONTHS: 0,
+            CLIFF_MONTHS: 12,
+            FREQUENCY: 'monthly',
+            ACCELERATION: 'none',
+            ACCELERATION_PERCENT: 100
+        },
+        TERMINATED_AT_EXIT: false,
+        
+        // Option grant defaults
+        OPTION_GRANT: {
+            STATUS: 'outstanding',
+            VESTING_MONTHS: 48
+        },
+        
+        // Warrant defaults
+        WARRANT: {
+            SHARE_CLASS: 'Common',
+            EXERCISE: 'cash',
+            TERM_YEARS: 10
+        },
+        
+        // Share event defaults
+        SHARE_EVENT: {
+            TYPE: 'split',
+            RATIO: 100
+        },
+        
+        // Monte Carlo simulation defaults
+        SIMULATION: {
+            DISTRIBUTION: 'fixed',
+            TRIALS: 2000,
+            SEED: 1,
+            VOLATILITY: 80
         }
     },
 
@@ -33,7 +95,11 @@ const CONFIG = {
         MIN_VALUATION: 1,
         MAX_VALUATION: 1_000_000_000_000,
         MIN_INVESTMENT: 1,
-        MAX_INVESTMENT: 1_000_000_000_000
+        MAX_INVESTMENT: 1_000_000_000_000,
+        MAX_VESTING_MONTHS: 120,
+        MAX_PREFERENCE_MULTIPLE: 10,
+        MAX_SENIORITY_TIER: 10,
+        MAX_ESCROW_MONTHS: 120
     },
 
     // Currency configuration
@@ -43,6 +109,9 @@ const CONFIG = {
         'EUR': { symbol: '€', name: 'Euro' }
     },
 
+    // Month names for round and exit dates
+    MONTHS: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+
     // Round types
     ROUND_TYPES: [
         'Bootstrap',
@@ -57,18 +126,128 @@ const CONFIG = {
         'Convertible'
     ],
 
-    // Liquidation preferences
-    LIQUIDATION_PREFERENCES: [
-        { value: '1x', label: '1x Non-Participating' },
-        { value: '1x-participating', label: '1x Participating' },
-        { value: '2x', label: '2x Non-Participating' },
-        { value: '2x-participating', label: '2x Participating' }
+    // Round types that sit unconverted until the next priced round
+    CONVERTIBLE_ROUND_TYPES: ['SAFE', 'Convertible'],
+
+    // SAFE conversion bases
+    SAFE_TYPES: [
+        { value: 'post-money', label: 'Post-Money SAFE' },
+        { value: 'pre-money', label: 'Pre-Money SAFE' }
+    ],
+
+    // Preference choices saved before rounds had their own multiple and participation
+    LEGACY_LIQUIDATION_PREFERENCES: {
+        '1x': { multiple: 1, participating: false },
+        '1x-participating': { multiple: 1, participating: true },
+        '2x': { multiple: 2, participating: false },
+        '2x-participating': { multiple: 2, participating: true }
+    },
+
+    // Where a round's preference ranks against earlier rounds; higher tiers are paid first
+    SENIORITY_OPTIONS: [
+        { value: 'senior', label: 'Senior to Earlier Rounds (Stacked)' },
+        { value: 'pari-passu-previous', label: 'Pari Passu with Previous Round' },
+        { value: 'pari-passu-all', label: 'Pari Passu with All Earlier Rounds' },
+        { value: 'tier', label: 'Defined Tier' }
+    ],
+
+    // How a preferred dividend accrues from the round year to exit
+    DIVIDEND_COMPOUNDINGS: [
+        { value: 'simple', label: 'Simple' },
+        { value: 'compound', label: 'Compound (annual)' }
+    ],
+
+    // How an accrued preferred dividend is settled at exit
+    DIVIDEND_PAYMENTS: [
+        { value: 'cash', label: 'Cash (added to preference)' },
+        { value: 'pik', label: 'In Kind (extra shares)' }
+    ],
+
+    // Where option pool top-ups are placed
+    OPTION_POOL_TIMINGS: [
+        { value: 'post-money', label: 'Post-Money (shared with new investors)' },
+        { value: 'pre-money', label: 'Pre-Money (existing holders only)' }
+    ],
+
+    // Vesting frequencies
+    VESTING_FREQUENCIES: [
+        { value: 'monthly', label: 'Monthly', months: 1 },
+        { value: 'quarterly', label: 'Quarterly', months: 3 }
+    ],
+
+    // Option grant statuses; forfeited options return to the pool
+    OPTION_GRANT_STATUSES: [
+        { value: 'outstanding', label: 'Outstanding' },
+        { value: 'exercised', label: 'Exercised' },
+        { value: 'forfeited', label: 'Forfeited' }
+    ],
+
+    // Events between rounds; splits change every share count, buybacks and cancellations retire one holder's shares
+    SHARE_EVENT_TYPES: [
+        { value: 'split', label: 'Stock Split' },
+        { value: 'reverse-split', label: 'Reverse Split' },
+        { value: 'buyback', label: 'Share Buyback' },
+        { value: 'cancellation', label: 'Share Cancellation' }
+    ],
+
+    // How in-the-money warrants are exercised at exit
+    WARRANT_EXERCISE_METHODS: [
+        { value: 'cash', label: 'Cash Exercise' },
+        { value: 'net', label: 'Net Exercise' }
+    ],
+
+    // How the exit valuation is set
+    EXIT_VALUATION_METHODS: [
+        { value: 'manual', label: 'Entered Directly' },
+        { value: 'revenue-multiple', label: 'Exit Revenue × Multiple' }
     ],
 
+    // Warn when the exit revenue multiple is more than this many times the highest round multiple
+    EXIT_REVENUE: {
+        MULTIPLE_WARNING_RATIO: 2
+    },
+
+    // Exit outcome distributions; a fixed exit runs no simulation
+    EXIT_DISTRIBUTIONS: [
+        { value: 'fixed', label: 'Fixed (no simulation)' },
+        { value: 'lognormal', label: 'Lognormal' },
+        { value: 'discrete', label: 'Discrete Outcomes' }
+    ],
+
+    // Vesting acceleration on exit
+    ACCELERATION_OPTIONS: [
+        { value: 'none', label: 'None' },
+        { value: 'single-trigger', label: 'Single Trigger (on exit)' },
+        { value: 'double-trigger', label: 'Double Trigger (exit and termination)' }
+    ],
+
+    // SAFE and note conversion
+    CONVERSION: {
+        MAX_ITERATIONS: 100,
+        // Smallest gain worth converting for, so rounding in pro rata payments never triggers a conversion
+        MIN_GAIN: 0.01
+    },
+
+    // Breakpoint search on the liquidation waterfall, to the nearest currency unit
+    BREAKPOINTS: {
+        TOLERANCE: 1,
+        MAX_ITERATIONS: 100
+    },
+
+    // XIRR solver for dated cash flows
+    IRR: {
+        MAX_ITERATIONS: 100,
+        MIN_RATE: -0.9999,
+        MAX_RATE: 100,
+        // Highest rate the search widens to when returns come quickly
+        MAX_WIDENED_RATE: 1e9
+    },
+
     // Anti-dilution options
     ANTI_DILUTION_OPTIONS: [
         { value: 'none', label: 'None' },
-        { value: 'weighted-average', label: 'Weighted Average' },
+        { value: 'weighted-average', label: 'Broad-Based Weighted Average' },
+        { value: 'narrow-weighted-average', label: 'Narrow-Based Weighted Average' },
         { value: 'full-ratchet', label: 'Full Ratchet' }
     ],
 
@@ -77,20 +256,85 @@ const CONFIG = {
         DEBOUNCE_DELAY: 1000,
         ALERT_AUTO_DISMISS: 3000,
         CHART_HEIGHT: 400,
+        FOUNDER_COLORS: ['#007bff', '#4dabf7', '#0056b3', '#74c0fc', '#1864ab', '#a5d8ff'],
+        ROUND_COLORS: ['#dc3545', '#fd7e14', '#6f42c1', '#e83e8c', '#20c997', '#6c757d'],
         NUMBER_FORMAT_THRESHOLD: 1000
     },
 
     // Sensitivity analysis
+    // Steps are percentage changes, years added to the exit year, or percentage points of option pool
     SENSITIVITY: {
-        SCENARIOS: [
-            { label: '-20%', multiplier: 0.8, class: 'text-danger' },
-            { label: '-10%', multiplier: 0.9, class: 'text-warning' },
-            { label: 'Base', multiplier: 1.0, class: 'fw-bold' },
-            { label: '+10%', multiplier: 1.1, class: 'text-success' },
-            { label: '+20%', multiplier: 1.2, class: 'text-success' }
+        VARIABLES: [
+            { value: 'preMoneyValuation', label: 'Pre-Money Valuation', unit: 'percent' },
+            { value: 'investment', label: 'Investment', unit: 'percent' },
+            { value: 'exitValuation', label: 'Exit Valuation', unit: 'percent' },
+            { value: 'exitYear', label: 'Exit Year', unit: 'years' },
+            { value: 'optionPoolPercent', label: 'Option Pool %', unit: 'points' }
+        ],
+        STEPS: {
+            percent: [-20, -10, 0, 10, 20],
+            years: [-2, -1, 0, 1, 2],
+            points: [-5, 0, 5]
+        },
+        MAX_STEPS: 9,
+        METRICS: [
+            { value: 'founderReturn', label: 'Founder Proceeds' },
+            { value: 'roundIRR', label: 'Round IRR' }
+        ],
+        DEFAULT_ROW_VARIABLE: 'preMoneyValuation',
+        DEFAULT_COLUMN_VARIABLE: 'exitValuation'
+    },
+
+    // Causes of each stage's change in founder and ESOP ownership, with the stage field holding the new shares.
+    // Other covers secondary sales, warrants issued or expired and share events.
+    DILUTION_CAUSES: [
+        { value: 'newInvestors', label: 'New Investors', field: 'newInvestorShares' },
+        { value: 'optionPoolTopUp', label: 'Pool Top-Up', field: 'optionPoolTopUpShares' },
+        { value: 'antiDilution', label: 'Anti-Dilution', field: 'antiDilutionShares' },
+        { value: 'conversions', label: 'Note & SAFE Conversions', field: 'conversionShares' },
+        { value: 'other', label: 'Other', field: null }
+    ],
+
+    // Round goal seek: solve one round input for a target stage output, searched between the input's limits
+    GOAL_SEEK: {
+        TARGETS: [
+            { value: 'founderOwnership', label: 'Founder Ownership', unit: 'percent' },
+            { value: 'newInvestorOwnership', label: 'New Investor Ownership', unit: 'percent' },
+            { value: 'postMoneyValuation', label: 'Post-Money Valuation', unit: 'currency' },
+            { value: 'pricePerShare', label: 'Price per Share', unit: 'price' }
+        ],
+        INPUTS: [
+            { value: 'preMoneyValuation', label: 'Pre-Money Valuation', unit: 'currency' },
+            { value: 'investment', label: 'Investment', unit: 'currency' },
+            { value: 'optionPoolTarget', label: 'Option Pool Target %', unit: 'percent' }
+        ],
+        MAX_POOL_TARGET: 50,
+        // Solved values are rounded to the nearest currency unit or hundredth of a percent
+        TOLERANCE: { currency: 1, percent: 0.01 },
+        MAX_ITERATIONS: 100
+    },
+
+    // Required exit: the smallest exit valuation at which a round reaches a target return
+    REQUIRED_EXIT: {
+        METRICS: [
+            { value: 'multipleOfMoney', label: 'MOIC', defaultTarget: 3 },
+            { value: 'irr', label: 'IRR', defaultTarget: 25 }
         ]
     },
 
+    // Exit value sweep, from zero up to a multiple of the last post-money valuation
+    EXIT_SWEEP: {
+        MAX_MULTIPLE: 10,
+        STEPS: 40
+    },
+
+    // Monte Carlo simulation of exit outcomes
+    MONTE_CARLO: {
+        MAX_TRIALS: 20000,
+        MAX_VOLATILITY: 500,
+        PERCENTILES: [10, 50, 90]
+    },
+
     // Template configurations
     TEMPLATES: {
         saas: {
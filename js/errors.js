@@ -225,6 +225,65 @@ class Validator {
             );
         } catch (e) { errors.push(e); }
 
+        data.founders.forEach((founder, index) => {
+            try {
+                Validator.validateRequired(founder.name, `Founder ${index + 1} Name`);
+                Validator.validateInteger(founder.shares, `${founder.name} Shares`, 1, CONFIG.VALIDATION.MAX_FOUNDER_SHARES);
+            } catch (e) { errors.push(e); }
+        });
+
+        data.founders.forEach(founder => {
+            if (!founder.vesting) return;
+            try {
+                founder.vesting.validate(`${founder.name} Vesting`);
+            } catch (e) { errors.push(e); }
+        });
+
+        data.optionGrants.forEach((grant, index) => {
+            const label = grant.grantee || `Grant ${index + 1}`;
+            try {
+                Validator.validateRequired(grant.grantee, `Grant ${index + 1} Grantee`);
+                Validator.validateInteger(grant.options, `${label} Options`, 1);
+                Validator.validateNumber(grant.strikePrice, `${label} Strike Price`, 0);
+                if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(grant.date || '')) {
+                    throw new ValidationError(`${label} Grant Date`, 'Grant date must be a month (YYYY-MM)', grant.date);
+                }
+                if (!CONFIG.OPTION_GRANT_STATUSES.some(option => option.value === grant.status)) {
+                    throw new ValidationError(`${label} Status`, `Invalid grant status: ${grant.status}`, grant.status);
+                }
+                if (grant.vesting) {
+                    grant.vesting.validate(`${label} Vesting`);
+                }
+            } catch (e) { errors.push(e); }
+        });
+
+        data.warrants.forEach((warrant, index) => {
+            const label = warrant.holder || `Warrant ${index + 1}`;
+            try {
+                Validator.validateRequired(warrant.holder, `Warrant ${index + 1} Holder`);
+                Validator.validateInteger(warrant.shares, `${label} Shares`, 1);
+                Validator.validateNumber(warrant.exercisePrice, `${label} Exercise Price`, 0);
+                if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(warrant.issueDate || '')) {
+                    throw new ValidationError(`${label} Issue Date`, 'Issue date must be a month (YYYY-MM)', warrant.issueDate);
+                }
+                if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(warrant.expiryDate || '')) {
+                    throw new ValidationError(`${label} Expiry Date`, 'Expiry date must be a month (YYYY-MM)', warrant.expiryDate);
+                }
+                if (DateUtils.monthsBetween(warrant.issueDate, warrant.expiryDate) <= 0) {
+                    throw new ValidationError(`${label} Expiry Date`, 'Expiry date must be after the issue date', warrant.expiryDate);
+                }
+                if (!CONFIG.WARRANT_EXERCISE_METHODS.some(option => option.value === warrant.exercise)) {
+                    throw new ValidationError(`${label} Exercise`, `Invalid exercise method: ${warrant.exercise}`, warrant.exercise);
+                }
+            } catch (e) { errors.push(e); }
+        });
+
+        const founderNames = data.founders.map(founder => founder.name);
+        const duplicateFounder = founderNames.find((name, index) => founderNames.indexOf(name) !== index);
+        if (duplicateFounder) {
+            errors.push(new ValidationError('Founders', `Founder ${duplicateFounder} is listed more than once`, duplicateFounder));
+        }
+
         try {
             Validator.validatePercentage(data.optionPoolPercent, 'Option Pool Percentage');
         } catch (e) { errors.push(e); }
@@ -237,9 +296,39 @@ class Validator {
             Validator.validateYear(data.exitYear, 'Exit Year');
         } catch (e) { errors.push(e); }
 
+        try {
+            Validator.validateInteger(data.exitMonth, 'Exit Month', 1, 12);
+        } catch (e) { errors.push(e); }
+
+        try {
+            Validator.validatePercentage(data.escrowPercent, 'Escrow Percentage');
+        } catch (e) { errors.push(e); }
+
+        try {
+            Validator.validateInteger(data.escrowMonths, 'Escrow Release (months)', 0, CONFIG.VALIDATION.MAX_ESCROW_MONTHS);
+        } catch (e) { errors.push(e); }
+
+        if (!CONFIG.EXIT_VALUATION_METHODS.some(option => option.value === data.exitValuationMethod)) {
+            errors.push(new ValidationError('Exit Valuation Method', `Invalid exit valuation method: ${data.exitValuationMethod}`, data.exitValuationMethod));
+        }
+
+        try {
+            Validator.validateNumber(data.exitRevenue, 'Exit Revenue', 0);
+        } catch (e) { errors.push(e); }
+
+        if (data.exitValuationMethod === 'revenue-multiple') {
+            try {
+                Validator.validateNumber(data.exitRevenue, 'Exit Revenue', CONFIG.VALIDATION.MIN_VALUATION);
+            } catch (e) { errors.push(e); }
+
+            try {
+                Validator.validateNumber(data.exitMultiple, 'Exit Revenue Multiple', 0);
+            } catch (e) { errors.push(e); }
+        }
+
         try {
             Validator.validateNumber(
-                data.exitValuation,
+                data.getExitValuation(),
                 'Exit Valuation',
                 CONFIG.VALIDATION.MIN_VALUATION,
                 CONFIG.VALIDATION.MAX_VALUATION
@@ -253,6 +342,44 @@ class Validator {
         return true;
     }
 
+    static validateVestingSchedule(schedule, label = 'Vesting') {
+        const errors = [];
+
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(schedule.startDate || '')) {
+            errors.push(new ValidationError('Vesting Start', 'Vesting start must be a month (YYYY-MM)', schedule.startDate));
+        } else {
+            try {
+                Validator.validateYear(parseInt(schedule.startDate, 10), 'Vesting Start Year');
+            } catch (e) { errors.push(e); }
+        }
+
+        try {
+            Validator.validateInteger(schedule.durationMonths, 'Vesting Duration (months)', 0, CONFIG.VALIDATION.MAX_VESTING_MONTHS);
+        } catch (e) { errors.push(e); }
+
+        try {
+            Validator.validateInteger(schedule.cliffMonths, 'Cliff (months)', 0, Math.max(0, schedule.durationMonths));
+        } catch (e) { errors.push(e); }
+
+        if (!CONFIG.VESTING_FREQUENCIES.some(option => option.value === schedule.frequency)) {
+            errors.push(new ValidationError('Vesting Frequency', `Invalid vesting frequency: ${schedule.frequency}`, schedule.frequency));
+        }
+
+        if (!CONFIG.ACCELERATION_OPTIONS.some(option => option.value === schedule.acceleration)) {
+            errors.push(new ValidationError('Acceleration', `Invalid acceleration: ${schedule.acceleration}`, schedule.acceleration));
+        }
+
+        try {
+            Validator.validatePercentage(schedule.accelerationPercent, 'Acceleration (%)');
+        } catch (e) { errors.push(e); }
+
+        if (errors.length > 0) {
+            throw new ValidationError(label, `${errors.length} validation error(s)`, errors);
+        }
+
+        return true;
+    }
+
     static validateFundingRound(round) {
         const errors = [];
 
@@ -264,6 +391,10 @@ class Validator {
             Validator.validateYear(round.year, 'Round Year');
         } catch (e) { errors.push(e); }
 
+        try {
+            Validator.validateInteger(round.month, 'Round Month', 1, 12);
+        } catch (e) { errors.push(e); }
+
         try {
             Validator.validateNumber(
                 round.preMoneyValuation,
@@ -286,12 +417,229 @@ class Validator {
             Validator.validateNumber(round.revenue, 'Revenue', 0);
         } catch (e) { errors.push(e); }
 
+        try {
+            Validator.validateNumber(round.preferenceMultiple, 'Preference Multiple', 0, CONFIG.VALIDATION.MAX_PREFERENCE_MULTIPLE);
+        } catch (e) { errors.push(e); }
+
+        if (round.participationCap !== null) {
+            try {
+                if (!round.participating) {
+                    throw new ValidationError('Participation Cap', 'A participation cap only applies to participating preferred', round.participationCap);
+                }
+                Validator.validateNumber(round.participationCap, 'Participation Cap', 0);
+                if (round.participationCap <= round.preferenceMultiple) {
+                    throw new ValidationError(
+                        'Participation Cap',
+                        `Participation cap of ${round.participationCap}x must be above the ${round.preferenceMultiple}x preference`,
+                        round.participationCap
+                    );
+                }
+            } catch (e) { errors.push(e); }
+        }
+
+        if (!CONFIG.SENIORITY_OPTIONS.some(option => option.value === round.seniority)) {
+            errors.push(new ValidationError('Seniority', `Invalid seniority: ${round.seniority}`, round.seniority));
+        }
+
+        if (round.seniority === 'tier') {
+            try {
+                Validator.validateInteger(round.seniorityTier, 'Seniority Tier', 1, CONFIG.VALIDATION.MAX_SENIORITY_TIER);
+            } catch (e) { errors.push(e); }
+        }
+
+        try {
+            Validator.validatePercentage(round.dividendRate, 'Dividend Rate');
+        } catch (e) { errors.push(e); }
+
+        if (!CONFIG.DIVIDEND_COMPOUNDINGS.some(option => option.value === round.dividendCompounding)) {
+            errors.push(new ValidationError('Dividend Compounding', `Invalid dividend compounding: ${round.dividendCompounding}`, round.dividendCompounding));
+        }
+
+        if (!CONFIG.DIVIDEND_PAYMENTS.some(option => option.value === round.dividendPayment)) {
+            errors.push(new ValidationError('Dividend Payment', `Invalid dividend payment: ${round.dividendPayment}`, round.dividendPayment));
+        }
+
+        if (round.dividendRate > 0 && round.isConvertible()) {
+            errors.push(new ValidationError('Dividend Rate', 'Preferred dividends only apply to priced rounds', round.dividendRate));
+        }
+
+        try {
+            Validator.validatePercentage(round.discountRate, 'Discount Rate');
+        } catch (e) { errors.push(e); }
+
+        try {
+            Validator.validateNumber(round.valuationCap, 'Valuation Cap', 0, CONFIG.VALIDATION.MAX_VALUATION);
+        } catch (e) { errors.push(e); }
+
+        try {
+            Validator.validatePercentage(round.interestRate, 'Interest Rate');
+        } catch (e) { errors.push(e); }
+
+        round.investors.forEach((investor, index) => {
+            try {
+                Validator.validateRequired(investor.name, `Investor ${index + 1} Name`);
+                Validator.validateNumber(investor.amount, `${investor.name} Amount`, 0, CONFIG.VALIDATION.MAX_INVESTMENT);
+            } catch (e) { errors.push(e); }
+        });
+
+        if (round.investors.length > 0) {
+            const investorTotal = round.investors.reduce((total, investor) => total + investor.amount, 0);
+            if (Math.abs(investorTotal - round.investment) >= 1) {
+                errors.push(new ValidationError(
+                    'Investors',
+                    `Investor amounts total ${investorTotal} but the round raises ${round.investment}`,
+                    investorTotal
+                ));
+            }
+        }
+
+        round.tranches.forEach((tranche, index) => {
+            try {
+                if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(tranche.date || '')) {
+                    throw new ValidationError(`Tranche ${index + 1} Date`, 'Tranche date must be a month (YYYY-MM)', tranche.date);
+                }
+                if (DateUtils.monthsBetween(round.getDate(), tranche.date) < 0) {
+                    throw new ValidationError(`Tranche ${index + 1} Date`, 'Tranche date cannot be before the round date', tranche.date);
+                }
+                Validator.validateNumber(tranche.amount, `Tranche ${index + 1} Amount`, 0, CONFIG.VALIDATION.MAX_INVESTMENT);
+            } catch (e) { errors.push(e); }
+        });
+
+        if (round.tranches.length > 0) {
+            const trancheTotal = round.tranches.reduce((total, tranche) => total + tranche.amount, 0);
+            if (Math.abs(trancheTotal - round.investment) >= 1) {
+                errors.push(new ValidationError(
+                    'Tranches',
+                    `Tranche amounts total ${trancheTotal} but the round raises ${round.investment}`,
+                    trancheTotal
+                ));
+            }
+        }
+
+        round.secondaries.forEach((sale, index) => {
+            try {
+                Validator.validateRequired(sale.seller, `Secondary ${index + 1} Seller`);
+                Validator.validateRequired(sale.buyer, `Secondary ${index + 1} Buyer`);
+                Validator.validateInteger(sale.shares, `Secondary ${index + 1} Shares`, 1);
+                Validator.validateNumber(sale.price, `Secondary ${index + 1} Price`, 0);
+            } catch (e) { errors.push(e); }
+        });
+
+        if (round.secondaries.length > 0 && round.isConvertible()) {
+            errors.push(new ValidationError('Secondaries', 'Secondary sales can only be recorded in a priced round', round.type));
+        }
+
+        try {
+            Validator.validatePercentage(round.proRataTakeUp, 'Pro-Rata Take-Up');
+        } catch (e) { errors.push(e); }
+
+        if (round.optionPoolTarget !== null) {
+            try {
+                Validator.validatePercentage(round.optionPoolTarget, 'Option Pool Target');
+            } catch (e) { errors.push(e); }
+        }
+
+        if (!CONFIG.OPTION_POOL_TIMINGS.some(option => option.value === round.optionPoolTiming)) {
+            errors.push(new ValidationError('Option Pool Timing', `Invalid option pool timing: ${round.optionPoolTiming}`, round.optionPoolTiming));
+        }
+
+        if (!CONFIG.SAFE_TYPES.some(option => option.value === round.safeType)) {
+            errors.push(new ValidationError('SAFE Type', `Invalid SAFE type: ${round.safeType}`, round.safeType));
+        }
+
         if (errors.length > 0) {
             throw new ValidationError('Funding Round', `${errors.length} validation error(s) in ${round.type}`, errors);
         }
 
         return true;
     }
+
+    static validateShareEvent(event) {
+        const errors = [];
+
+        if (!CONFIG.SHARE_EVENT_TYPES.some(option => option.value === event.type)) {
+            errors.push(new ValidationError('Event Type', `Invalid share event type: ${event.type}`, event.type));
+        }
+
+        try {
+            Validator.validateYear(event.year, 'Event Year');
+        } catch (e) { errors.push(e); }
+
+        if (event.isSplit()) {
+            try {
+                Validator.validateNumber(event.ratio, 'Split Ratio', 1);
+            } catch (e) { errors.push(e); }
+        } else {
+            try {
+                Validator.validateRequired(event.holder, 'Holder');
+                Validator.validateInteger(event.shares, `${event.holder} Shares`, 1);
+                Validator.validateNumber(event.price, 'Buyback Price', 0);
+            } catch (e) { errors.push(e); }
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationError('Share Event', `${errors.length} validation error(s) in ${event.type}`, errors);
+        }
+
+        return true;
+    }
+
+    static validateExitDistribution(distribution) {
+        const errors = [];
+
+        if (!CONFIG.EXIT_DISTRIBUTIONS.some(option => option.value === distribution.type)) {
+            errors.push(new ValidationError('Exit Distribution', `Invalid exit distribution: ${distribution.type}`, distribution.type));
+        }
+
+        try {
+            Validator.validateInteger(distribution.trials, 'Trials', 1, CONFIG.MONTE_CARLO.MAX_TRIALS);
+        } catch (e) { errors.push(e); }
+
+        try {
+            Validator.validateInteger(distribution.seed, 'Seed', 0);
+        } catch (e) { errors.push(e); }
+
+        if (distribution.type === 'lognormal') {
+            try {
+                Validator.validateNumber(distribution.volatility, 'Volatility (%)', 0, CONFIG.MONTE_CARLO.MAX_VOLATILITY);
+            } catch (e) { errors.push(e); }
+
+            try {
+                if (distribution.exitYearMin !== null) Validator.validateYear(distribution.exitYearMin, 'Earliest Exit Year');
+                if (distribution.exitYearMax !== null) Validator.validateYear(distribution.exitYearMax, 'Latest Exit Year');
+            } catch (e) { errors.push(e); }
+
+            if (distribution.exitYearMin !== null && distribution.exitYearMax !== null &&
+                distribution.exitYearMin > distribution.exitYearMax) {
+                errors.push(new ValidationError('Exit Years', 'Earliest exit year must not be after the latest', distribution.exitYearMin));
+            }
+        }
+
+        if (distribution.type === 'discrete') {
+            if (distribution.outcomes.length === 0) {
+                errors.push(new ValidationError('Outcomes', 'Add at least one exit outcome', distribution.outcomes));
+            }
+
+            distribution.outcomes.forEach((outcome, index) => {
+                try {
+                    Validator.validatePercentage(outcome.probability, `Outcome ${index + 1} Probability`);
+                    Validator.validateNumber(outcome.exitValuation, `Outcome ${index + 1} Exit Valuation`, 0, CONFIG.VALIDATION.MAX_VALUATION);
+                    if (outcome.exitYear !== null) Validator.validateYear(outcome.exitYear, `Outcome ${index + 1} Exit Year`);
+                } catch (e) { errors.push(e); }
+            });
+
+            const totalProbability = distribution.outcomes.reduce((total, outcome) => total + outcome.probability, 0);
+            if (distribution.outcomes.length > 0 && Math.abs(totalProbability - 100) > 0.01) {
+                errors.push(new ValidationError('Outcomes', `Outcome probabilities total ${totalProbability}% rather than 100%`, totalProbability));
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationError('Exit Distribution', `${errors.length} validation error(s)`, errors);
+        }
+
+        return true;
+    }
 }
 
 // Make classes globally available
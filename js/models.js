@@ -9,13 +9,59 @@ class FundingRound {
     constructor(data = {}) {
         this.id = data.id || null;
         this.type = data.type || CONFIG.DEFAULTS.ROUND.TYPE;
+        this.shareClass = data.shareClass || '';
         this.year = data.year || DateUtils.getCurrentYear();
+        this.month = data.month || CONFIG.DEFAULTS.ROUND.MONTH;
         this.preMoneyValuation = data.preMoneyValuation || CONFIG.DEFAULTS.ROUND.PRE_MONEY_VALUATION;
         this.investment = data.investment || CONFIG.DEFAULTS.ROUND.INVESTMENT;
         this.revenue = data.revenue || CONFIG.DEFAULTS.ROUND.REVENUE;
-        this.liquidationPref = data.liquidationPref || CONFIG.DEFAULTS.ROUND.LIQUIDATION_PREF;
+        // Older saved data has a liquidationPref such as '2x-participating' instead
+        const legacyPreference = CONFIG.LEGACY_LIQUIDATION_PREFERENCES[data.liquidationPref] || {
+            multiple: CONFIG.DEFAULTS.ROUND.PREFERENCE_MULTIPLE,
+            participating: CONFIG.DEFAULTS.ROUND.PARTICIPATING
+        };
+        this.preferenceMultiple = data.preferenceMultiple !== undefined ? data.preferenceMultiple : legacyPreference.multiple;
+        this.participating = data.participating !== undefined ? data.participating : legacyPreference.participating;
+        // Cap on a participating round's total return as a multiple of its investment; null for no cap
+        this.participationCap = data.participationCap !== undefined && data.participationCap !== null
+            ? data.participationCap
+            : CONFIG.DEFAULTS.ROUND.PARTICIPATION_CAP;
+        this.seniority = data.seniority || CONFIG.DEFAULTS.ROUND.SENIORITY;
+        this.seniorityTier = data.seniorityTier || CONFIG.DEFAULTS.ROUND.SENIORITY_TIER;
+        // Annual preferred dividend as a percentage of the investment
+        this.dividendRate = data.dividendRate || CONFIG.DEFAULTS.ROUND.DIVIDEND_RATE;
+        this.dividendCumulative = data.dividendCumulative !== undefined ? data.dividendCumulative : CONFIG.DEFAULTS.ROUND.DIVIDEND_CUMULATIVE;
+        this.dividendCompounding = data.dividendCompounding || CONFIG.DEFAULTS.ROUND.DIVIDEND_COMPOUNDING;
+        this.dividendPayment = data.dividendPayment || CONFIG.DEFAULTS.ROUND.DIVIDEND_PAYMENT;
         this.antiDilution = data.antiDilution || CONFIG.DEFAULTS.ROUND.ANTI_DILUTION;
         this.discountRate = data.discountRate || CONFIG.DEFAULTS.ROUND.DISCOUNT_RATE;
+        this.valuationCap = data.valuationCap || CONFIG.DEFAULTS.ROUND.VALUATION_CAP;
+        this.safeType = data.safeType || CONFIG.DEFAULTS.ROUND.SAFE_TYPE;
+        this.interestRate = data.interestRate || CONFIG.DEFAULTS.ROUND.INTEREST_RATE;
+        this.optionPoolTarget = data.optionPoolTarget !== undefined && data.optionPoolTarget !== null
+            ? data.optionPoolTarget
+            : CONFIG.DEFAULTS.ROUND.OPTION_POOL_TARGET;
+        this.optionPoolTiming = data.optionPoolTiming || CONFIG.DEFAULTS.ROUND.OPTION_POOL_TIMING;
+        this.proRataRights = data.proRataRights !== undefined ? data.proRataRights : CONFIG.DEFAULTS.ROUND.PRO_RATA_RIGHTS;
+        this.proRataTakeUp = data.proRataTakeUp !== undefined ? data.proRataTakeUp : CONFIG.DEFAULTS.ROUND.PRO_RATA_TAKE_UP;
+        this.investors = (data.investors || []).map(investor => ({
+            name: investor.name,
+            amount: investor.amount,
+            proRata: investor.proRata !== undefined ? investor.proRata : this.proRataRights
+        }));
+        
+        this.secondaries = (data.secondaries || []).map(sale => ({
+            seller: sale.seller,
+            buyer: sale.buyer,
+            shares: sale.shares,
+            price: sale.price
+        }));
+        
+        // Investment paid in tranches; none means it is all paid at the round date
+        this.tranches = (data.tranches || []).map(tranche => ({
+            date: tranche.date,
+            amount: tranche.amount
+        }));
         
         // Calculated fields
         this.postMoneyValuation = null;
@@ -24,6 +70,23 @@ class FundingRound {
         this.ownershipPercent = null;
     }
 
+    /**
+     * Get the round date as 'YYYY-MM'
+     */
+    getDate() {
+        return DateUtils.formatMonth(this.year, this.month);
+    }
+
+    /**
+     * Get the dated payments making up the investment
+     */
+    getInvestmentSchedule() {
+        if (this.tranches.length > 0) {
+            return this.tranches.map(tranche => ({ ...tranche }));
+        }
+        return [{ date: this.getDate(), amount: this.investment }];
+    }
+
     /**
      * Calculate post-money valuation
      */
@@ -51,6 +114,69 @@ class FundingRound {
         return this.preMoneyValuation / this.revenue;
     }
 
+    /**
+     * Check whether this round is a SAFE or convertible note
+     */
+    isConvertible() {
+        return CONFIG.CONVERTIBLE_ROUND_TYPES.includes(this.type);
+    }
+
+    /**
+     * Get the investors in this round
+     * A round without named investors is treated as a single investor
+     */
+    getInvestors() {
+        if (this.investors.length > 0) {
+            return this.investors.map(investor => ({ ...investor }));
+        }
+        return [{ name: `${this.type} Investors`, amount: this.investment, proRata: this.proRataRights }];
+    }
+
+    /**
+     * Get the name of the share class this round issues
+     */
+    getShareClassName() {
+        return this.shareClass || `${this.type} Preferred`;
+    }
+
+    /**
+     * Get the option pool target for this round, or null if the pool is not topped up
+     */
+    getOptionPoolTarget(company) {
+        if (this.optionPoolTarget !== null) {
+            return this.optionPoolTarget;
+        }
+        return company.optionPoolTopUp ? company.optionPoolPercent : null;
+    }
+
+    /**
+     * Get the liquidation preference multiple, participation and participation cap
+     * The cap only applies to participating rounds
+     */
+    getPreferenceTerms() {
+        return {
+            multiple: this.preferenceMultiple,
+            participating: this.participating,
+            participationCap: this.participating ? this.participationCap : null
+        };
+    }
+
+    /**
+     * Get the preferred dividend terms, or null if the round carries no dividend
+     * Dividends accrue from the round year
+     */
+    getDividendTerms() {
+        if (!(this.dividendRate > 0)) return null;
+        
+        return {
+            rate: this.dividendRate,
+            cumulative: this.dividendCumulative,
+            compounding: this.dividendCompounding,
+            payment: this.dividendPayment,
+            startYear: this.year
+        };
+    }
+
     /**
      * Validate round data
      */
@@ -65,13 +191,33 @@ class FundingRound {
         return {
             id: this.id,
             type: this.type,
+            shareClass: this.shareClass,
             year: this.year,
+            month: this.month,
             preMoneyValuation: this.preMoneyValuation,
             investment: this.investment,
             revenue: this.revenue,
-            liquidationPref: this.liquidationPref,
+            preferenceMultiple: this.preferenceMultiple,
+            participating: this.participating,
+            participationCap: this.participationCap,
+            seniority: this.seniority,
+            seniorityTier: this.seniorityTier,
+            dividendRate: this.dividendRate,
+            dividendCumulative: this.dividendCumulative,
+            dividendCompounding: this.dividendCompounding,
+            dividendPayment: this.dividendPayment,
             antiDilution: this.antiDilution,
             discountRate: this.discountRate,
+            valuationCap: this.valuationCap,
+            safeType: this.safeType,
+            interestRate: this.interestRate,
+            optionPoolTarget: this.optionPoolTarget,
+            optionPoolTiming: this.optionPoolTiming,
+            proRataRights: this.proRataRights,
+            proRataTakeUp: this.proRataTakeUp,
+            investors: this.investors.map(investor => ({ ...investor })),
+            secondaries: this.secondaries.map(sale => ({ ...sale })),
+            tranches: this.tranches.map(tranche => ({ ...tranche })),
             postMoneyValuation: this.postMoneyValuation,
             equityPercentage: this.equityPercentage,
             sharesIssued: this.sharesIssued,
@@ -80,6 +226,192 @@ class FundingRound {
     }
 }
 
+/**
+ * Vesting Schedule model
+ * Starts are 'YYYY-MM' months; stages and exits are dated to January of their year
+ */
+class VestingSchedule {
+    constructor(data = {}) {
+        this.startDate = data.startDate || `${DateUtils.getCurrentYear()}-01`;
+        this.durationMonths = data.durationMonths !== undefined ? data.durationMonths : CONFIG.DEFAULTS.VESTING.DURATION_MONTHS;
+        this.cliffMonths = data.cliffMonths !== undefined ? data.cliffMonths : CONFIG.DEFAULTS.VESTING.CLIFF_MONTHS;
+        this.frequency = data.frequency || CONFIG.DEFAULTS.VESTING.FREQUENCY;
+        this.acceleration = data.acceleration || CONFIG.DEFAULTS.VESTING.ACCELERATION;
+        this.accelerationPercent = data.accelerationPercent !== undefined
+            ? data.accelerationPercent
+            : CONFIG.DEFAULTS.VESTING.ACCELERATION_PERCENT;
+    }
+
+    /**
+     * Get the fraction vested as of January of the given year
+     */
+    getVestedFraction(year) {
+        if (this.durationMonths <= 0) return 1;
+        
+        const elapsed = DateUtils.monthsBetween(this.startDate, `${year}-01`);
+        if (elapsed < this.cliffMonths) return 0;
+        
+        // Shares vest in whole periods once the cliff has passed
+        const frequency = CONFIG.VESTING_FREQUENCIES.find(option => option.value === this.frequency);
+        const periodMonths = frequency ? frequency.months : 1;
+        const vestedMonths = Math.min(this.durationMonths, Math.floor(elapsed / periodMonths) * periodMonths);
+        
+        return vestedMonths / this.durationMonths;
+    }
+
+    /**
+     * Get the fraction vested at exit, after any acceleration
+     */
+    getExitVestedFraction(exitYear, terminatedAtExit) {
+        const vested = this.getVestedFraction(exitYear);
+        const triggered = this.acceleration === 'single-trigger' ||
+            (this.acceleration === 'double-trigger' && terminatedAtExit);
+        
+        if (!triggered) return vested;
+        return vested + (1 - vested) * this.accelerationPercent / 100;
+    }
+
+    /**
+     * Validate vesting schedule
+     */
+    validate(label) {
+        return Validator.validateVestingSchedule(this, label);
+    }
+
+    /**
+     * Export to plain object
+     */
+    toObject() {
+        return {
+            startDate: this.startDate,
+            durationMonths: this.durationMonths,
+            cliffMonths: this.cliffMonths,
+            frequency: this.frequency,
+            acceleration: this.acceleration,
+            accelerationPercent: this.accelerationPercent
+        };
+    }
+}
+
+/**
+ * Share Event model (a split, reverse split, buyback or cancellation between rounds)
+ * Events are dated to January of their year and happen before any round in the same year
+ */
+class ShareEvent {
+    constructor(data = {}) {
+        this.id = data.id !== undefined ? data.id : null;
+        this.type = data.type || CONFIG.DEFAULTS.SHARE_EVENT.TYPE;
+        this.year = data.year || DateUtils.getCurrentYear();
+        this.ratio = data.ratio || CONFIG.DEFAULTS.SHARE_EVENT.RATIO;
+        this.holder = data.holder || '';
+        this.shares = data.shares || 0;
+        this.price = data.price || 0;
+    }
+
+    /**
+     * Check whether this event is a split or reverse split
+     */
+    isSplit() {
+        return this.type === 'split' || this.type === 'reverse-split';
+    }
+
+    /**
+     * Get the number of new shares per old share
+     * A 1:100 split gives 100; a 10:1 reverse split gives 0.1
+     */
+    getSplitFactor() {
+        if (this.type === 'split') return this.ratio;
+        if (this.type === 'reverse-split') return 1 / this.ratio;
+        return 1;
+    }
+
+    /**
+     * Get the label shown for this event's cap table stage
+     */
+    getLabel() {
+        switch (this.type) {
+            case 'split': return `Split 1:${this.ratio}`;
+            case 'reverse-split': return `Reverse Split ${this.ratio}:1`;
+            case 'buyback': return `Buyback (${this.holder})`;
+            default: return `Cancellation (${this.holder})`;
+        }
+    }
+
+    /**
+     * Validate event data
+     */
+    validate() {
+        return Validator.validateShareEvent(this);
+    }
+
+    /**
+     * Export to plain object
+     */
+    toObject() {
+        return {
+            id: this.id,
+            type: this.type,
+            year: this.year,
+            ratio: this.ratio,
+            holder: this.holder,
+            shares: this.shares,
+            price: this.price
+        };
+    }
+}
+
+/**
+ * Exit distribution model (the spread of exit outcomes for Monte Carlo simulation)
+ * A lognormal distribution takes the company's exit valuation as its median and draws
+ * the exit year evenly from a range; a discrete table lists outcomes with their
+ * probabilities, where a zero valuation is a failure.
+ */
+class ExitDistribution {
+    constructor(data = {}) {
+        this.type = data.type || CONFIG.DEFAULTS.SIMULATION.DISTRIBUTION;
+        this.trials = data.trials || CONFIG.DEFAULTS.SIMULATION.TRIALS;
+        this.seed = data.seed !== undefined ? data.seed : CONFIG.DEFAULTS.SIMULATION.SEED;
+        this.volatility = data.volatility !== undefined ? data.volatility : CONFIG.DEFAULTS.SIMULATION.VOLATILITY;
+        this.exitYearMin = data.exitYearMin || null;
+        this.exitYearMax = data.exitYearMax || null;
+        this.outcomes = (data.outcomes || []).map(outcome => ({
+            label: outcome.label || '',
+            probability: outcome.probability,
+            exitYear: outcome.exitYear || null,
+            exitValuation: outcome.exitValuation || 0
+        }));
+    }
+
+    /**
+     * Whether exit outcomes are simulated rather than fixed
+     */
+    isSimulated() {
+        return this.type !== 'fixed';
+    }
+
+    /**
+     * Validate exit distribution
+     */
+    validate() {
+        return Validator.validateExitDistribution(this);
+    }
+
+    /**
+     * Export to plain object
+     */
+    toObject() {
+        return {
+            type: this.type,
+            trials: this.trials,
+            seed: this.seed,
+            volatility: this.volatility,
+            exitYearMin: this.exitYearMin,
+            exitYearMax: this.exitYearMax,
+            outcomes: this.outcomes.map(outcome => ({ ...outcome }))
+        };
+    }
+}
+
 /**
  * Company model
  */
@@ -87,17 +419,64 @@ class Company {
     constructor(data = {}) {
         this.companyName = data.companyName || '';
         this.currency = data.currency || CONFIG.DEFAULTS.CURRENCY;
-        this.founderShares = data.founderShares || CONFIG.DEFAULTS.FOUNDER_SHARES;
+        this.founders = (data.founders || []).map(founder => ({
+            name: founder.name,
+            shares: founder.shares,
+            vesting: founder.vesting ? new VestingSchedule(founder.vesting) : null
+        }));
+        this.optionGrants = (data.optionGrants || []).map(grant => ({
+            grantee: grant.grantee,
+            date: grant.date,
+            options: grant.options,
+            strikePrice: grant.strikePrice || 0,
+            status: grant.status || CONFIG.DEFAULTS.OPTION_GRANT.STATUS,
+            vesting: grant.vesting ? new VestingSchedule(grant.vesting) : null
+        }));
+        this.warrants = (data.warrants || []).map(warrant => ({
+            holder: warrant.holder,
+            shareClass: warrant.shareClass || CONFIG.DEFAULTS.WARRANT.SHARE_CLASS,
+            shares: warrant.shares,
+            exercisePrice: warrant.exercisePrice || 0,
+            issueDate: warrant.issueDate,
+            expiryDate: warrant.expiryDate,
+            exercise: warrant.exercise || CONFIG.DEFAULTS.WARRANT.EXERCISE
+        }));
+        // Named founders replace the single founder share count
+        this.founderShares = this.founders.length > 0
+            ? this.founders.reduce((total, founder) => total + founder.shares, 0)
+            : data.founderShares || CONFIG.DEFAULTS.FOUNDER_SHARES;
         this.optionPoolPercent = data.optionPoolPercent || CONFIG.DEFAULTS.OPTION_POOL_PERCENT;
         this.optionPoolTopUp = data.optionPoolTopUp !== undefined ? data.optionPoolTopUp : true;
         this.useRevenueMultiples = data.useRevenueMultiples !== undefined ? data.useRevenueMultiples : true;
         this.exitYear = data.exitYear || (DateUtils.getCurrentYear() + CONFIG.DEFAULTS.EXIT_YEARS_AHEAD);
+        this.exitMonth = data.exitMonth || CONFIG.DEFAULTS.EXIT_MONTH;
+        this.escrowPercent = data.escrowPercent || CONFIG.DEFAULTS.ESCROW.PERCENT;
+        this.escrowMonths = data.escrowMonths !== undefined ? data.escrowMonths : CONFIG.DEFAULTS.ESCROW.MONTHS;
         this.exitValuation = data.exitValuation || CONFIG.DEFAULTS.EXIT_VALUATION;
         this.exitMultiple = data.exitMultiple || CONFIG.DEFAULTS.EXIT_MULTIPLE;
+        this.exitRevenue = data.exitRevenue || CONFIG.DEFAULTS.EXIT_REVENUE;
+        this.exitValuationMethod = data.exitValuationMethod || CONFIG.DEFAULTS.EXIT_VALUATION_METHOD;
+        this.terminatedAtExit = data.terminatedAtExit !== undefined ? data.terminatedAtExit : CONFIG.DEFAULTS.TERMINATED_AT_EXIT;
+        this.exitDistribution = new ExitDistribution(data.exitDistribution);
+        
+        this.events = (data.events || []).map((eventData, index) => {
+            const event = new ShareEvent(eventData);
+            if (event.id === null) {
+                event.id = index;
+            }
+            return event;
+        });
         
         this.rounds = [];
         if (data.rounds) {
-            this.rounds = data.rounds.map(roundData => new FundingRound(roundData));
+            this.rounds = data.rounds.map((roundData, index) => {
+                const round = new FundingRound(roundData);
+                // Rounds are matched to their cap table entries by id
+                if (round.id === null) {
+                    round.id = index;
+                }
+                return round;
+            });
         }
     }
 
@@ -125,10 +504,138 @@ class Company {
     }
 
     /**
-     * Get rounds sorted by year
+     * Get rounds sorted by date
      */
     getRoundsByYear() {
-        return DataUtils.sortBy([...this.rounds], 'year', true);
+        return [...this.rounds].sort((a, b) => a.year - b.year || a.month - b.month);
+    }
+
+    /**
+     * Rank each round's preference by seniority, in round order
+     * Higher ranks are paid first; rounds of equal rank share pro rata. A round pari passu
+     * with all earlier rounds brings those without a defined tier to its rank.
+     */
+    getSeniorityRanks() {
+        const ranks = new Map();
+        const tieredRoundIds = new Set();
+        let previous = null;
+        
+        this.getRoundsByYear().forEach(round => {
+            const highest = ranks.size > 0 ? Math.max(...ranks.values()) : 0;
+            const untiered = [...ranks.keys()].filter(roundId => !tieredRoundIds.has(roundId));
+            let rank = highest + 1;
+            
+            if (round.seniority === 'tier') {
+                rank = round.seniorityTier;
+                tieredRoundIds.add(round.id);
+            } else if (round.seniority === 'pari-passu-previous' && previous) {
+                rank = ranks.get(previous.id);
+            } else if (round.seniority === 'pari-passu-all' && untiered.length > 0) {
+                rank = Math.max(...untiered.map(roundId => ranks.get(roundId)));
+                untiered.forEach(roundId => ranks.set(roundId, rank));
+            }
+            
+            ranks.set(round.id, rank);
+            previous = round;
+        });
+        
+        return ranks;
+    }
+
+    /**
+     * Get share events sorted by year
+     */
+    getEventsByYear() {
+        return DataUtils.sortBy([...this.events], 'year', true);
+    }
+
+    /**
+     * Get the founders and their shares
+     * A company without named founders is treated as a single founder
+     */
+    getFounders() {
+        if (this.founders.length > 0) {
+            return this.founders.map(founder => ({ ...founder }));
+        }
+        return [{ name: 'Founders', shares: this.founderShares, vesting: null }];
+    }
+
+    /**
+     * Get option grants made by January of the given year
+     * Forfeited grants are left out, which returns their options to the pool.
+     * Splits by that year rescale the options and strike of grants made before them.
+     */
+    getOptionGrantsAt(year) {
+        return this.optionGrants
+            .filter(grant => grant.status !== 'forfeited' && DateUtils.monthsBetween(grant.date, `${year}-01`) >= 0)
+            .map(grant => {
+                const adjusted = this.adjustForSplits(grant.date, year, grant.options, grant.strikePrice);
+                return { ...grant, options: adjusted.shares, strikePrice: adjusted.price };
+            });
+    }
+
+    /**
+     * Get warrants issued and not yet expired by January of the given year
+     */
+    getWarrantsAt(year) {
+        const date = `${year}-01`;
+        
+        return this.warrants
+            .filter(warrant => DateUtils.monthsBetween(warrant.issueDate, date) >= 0 &&
+                DateUtils.monthsBetween(date, warrant.expiryDate) > 0)
+            .map(warrant => {
+                const adjusted = this.adjustForSplits(warrant.issueDate, year, warrant.shares, warrant.exercisePrice);
+                return { ...warrant, shares: adjusted.shares, exercisePrice: adjusted.price };
+            });
+    }
+
+    /**
+     * Rescale a share count and per-share price issued on a date for splits by January of the given year
+     */
+    adjustForSplits(date, year, shares, price) {
+        return this.getEventsByYear()
+            .filter(event => event.isSplit() && event.year <= year && DateUtils.monthsBetween(date, `${event.year}-01`) >= 0)
+            .reduce((adjusted, event) => ({
+                shares: Math.floor(adjusted.shares * event.getSplitFactor()),
+                price: adjusted.price / event.getSplitFactor()
+            }), { shares, price });
+    }
+
+    /**
+     * Get the exit valuation, derived from exit revenue and the exit multiple when that method is chosen
+     */
+    getExitValuation() {
+        if (this.exitValuationMethod === 'revenue-multiple') {
+            return this.exitRevenue * this.exitMultiple;
+        }
+        return this.exitValuation;
+    }
+
+    /**
+     * Get the exit date as 'YYYY-MM'
+     */
+    getExitDate() {
+        return DateUtils.formatMonth(this.exitYear, this.exitMonth);
+    }
+
+    /**
+     * Split exit proceeds into the amount paid at exit and the escrow released later
+     */
+    getExitSchedule(amount) {
+        const escrow = amount * this.escrowPercent / 100;
+        const schedule = [{ date: this.getExitDate(), amount: amount - escrow }];
+        if (escrow > 0) {
+            schedule.push({ date: DateUtils.addMonths(this.getExitDate(), this.escrowMonths), amount: escrow });
+        }
+        return schedule;
+    }
+
+    /**
+     * Get the revenue multiple implied at exit, or null without exit revenue
+     */
+    getExitRevenueMultiple() {
+        if (this.exitRevenue <= 0) return null;
+        return this.getExitValuation() / this.exitRevenue;
     }
 
     /**
@@ -160,6 +667,20 @@ class Company {
                 throw new ValidationError(`Round ${index + 1}`, error.message);
             }
         });
+        
+        // Validate share events
+        this.events.forEach((event, index) => {
+            try {
+                event.validate();
+            } catch (error) {
+                throw new ValidationError(`Share Event ${index + 1}`, error.message);
+            }
+        });
+        
+        // Validate the exit distribution when simulating
+        if (this.exitDistribution.isSimulated()) {
+            this.exitDistribution.validate();
+        }
 
         return true;
     }
@@ -172,12 +693,30 @@ class Company {
             companyName: this.companyName,
             currency: this.currency,
             founderShares: this.founderShares,
+            founders: this.founders.map(founder => ({
+                name: founder.name,
+                shares: founder.shares,
+                vesting: founder.vesting ? founder.vesting.toObject() : null
+            })),
+            optionGrants: this.optionGrants.map(grant => ({
+                ...grant,
+                vesting: grant.vesting ? grant.vesting.toObject() : null
+            })),
+            warrants: this.warrants.map(warrant => ({ ...warrant })),
             optionPoolPercent: this.optionPoolPercent,
             optionPoolTopUp: this.optionPoolTopUp,
             useRevenueMultiples: this.useRevenueMultiples,
             exitYear: this.exitYear,
+            exitMonth: this.exitMonth,
+            escrowPercent: this.escrowPercent,
+            escrowMonths: this.escrowMonths,
             exitValuation: this.exitValuation,
             exitMultiple: this.exitMultiple,
+            exitRevenue: this.exitRevenue,
+            exitValuationMethod: this.exitValuationMethod,
+            terminatedAtExit: this.terminatedAtExit,
+            exitDistribution: this.exitDistribution.toObject(),
+            events: this.events.map(event => event.toObject()),
             rounds: this.rounds.map(round => round.toObject())
         };
     }
@@ -192,26 +731,161 @@ class CapTableStage {
         this.year = data.year || DateUtils.getCurrentYear();
         this.totalShares = data.totalShares || 0;
         this.founderShares = data.founderShares || 0;
+        this.founderHoldings = data.founderHoldings || [];
+        this.vestedFounderShares = data.vestedFounderShares || 0;
+        this.unvestedFounderShares = data.unvestedFounderShares || 0;
         this.optionPoolShares = data.optionPoolShares || 0;
+        this.optionGrants = data.optionGrants || [];
+        this.grantedOptionShares = data.grantedOptionShares || 0;
+        this.exercisedOptionShares = data.exercisedOptionShares || 0;
+        this.availableOptionShares = data.availableOptionShares || 0;
+        this.vestedOptionShares = data.vestedOptionShares || 0;
+        this.warrants = data.warrants || [];
+        this.warrantShares = data.warrantShares || 0;
         this.investorShares = data.investorShares || 0;
         this.newInvestorShares = data.newInvestorShares || 0;
+        this.antiDilutionShares = data.antiDilutionShares || 0;
+        this.antiDilutionAdjustments = data.antiDilutionAdjustments || [];
+        this.conversionShares = data.conversionShares || 0;
+        this.conversions = data.conversions || [];
+        this.pendingConversions = data.pendingConversions || [];
+        this.optionPoolTopUpShares = data.optionPoolTopUpShares || 0;
+        this.optionPoolTiming = data.optionPoolTiming || null;
+        this.poolShuffleDilution = data.poolShuffleDilution || 0;
         this.round = data.round || null;
+        this.event = data.event || null;
         this.liquidationStack = data.liquidationStack || [];
+        this.investorHoldings = data.investorHoldings || [];
+        this.proRataParticipation = data.proRataParticipation || [];
+        this.proRataInvestment = data.proRataInvestment || 0;
+        this.secondaryTransfers = data.secondaryTransfers || [];
+        this.retirements = data.retirements || [];
+        this.pricePerShare = data.pricePerShare || 0;
+        this.shareClasses = data.shareClasses || [];
+        this.impliedValuation = data.impliedValuation || 0;
         
         // Calculated ownership percentages
         this.founderOwnership = data.founderOwnership || 0;
+        this.vestedFounderOwnership = data.vestedFounderOwnership || 0;
         this.optionPoolOwnership = data.optionPoolOwnership || 0;
+        this.grantedOptionOwnership = data.grantedOptionOwnership || 0;
+        this.availableOptionOwnership = data.availableOptionOwnership || 0;
+        this.warrantOwnership = data.warrantOwnership || 0;
         this.investorOwnership = data.investorOwnership || 0;
         this.newInvestorOwnership = data.newInvestorOwnership || 0;
         
         // Valuation data
         this.preMoneyValuation = data.preMoneyValuation || 0;
         this.postMoneyValuation = data.postMoneyValuation || 0;
+        this.effectivePreMoneyValuation = data.effectivePreMoneyValuation || 0;
         this.investment = data.investment || 0;
         this.revenue = data.revenue || 0;
         this.revenueMultiple = data.revenueMultiple || 0;
     }
 
+    /**
+     * Split founder holdings into vested and unvested shares as of the stage year
+     */
+    calculateVesting() {
+        this.founderHoldings.forEach(holding => {
+            const fraction = holding.vesting ? holding.vesting.getVestedFraction(this.year) : 1;
+            holding.vestedShares = Math.floor(holding.shares * fraction);
+            holding.unvestedShares = holding.shares - holding.vestedShares;
+        });
+        
+        this.vestedFounderShares = this.founderHoldings.reduce((total, holding) => total + holding.vestedShares, 0);
+        this.unvestedFounderShares = this.founderShares - this.vestedFounderShares;
+        
+        this.optionGrants.forEach(grant => {
+            const fraction = grant.vesting ? grant.vesting.getVestedFraction(this.year) : 1;
+            grant.vestedOptions = Math.floor(grant.options * fraction);
+        });
+        this.vestedOptionShares = this.optionGrants.reduce((total, grant) => total + grant.vestedOptions, 0);
+    }
+
+    /**
+     * Split the option pool into outstanding grants, exercised options and unallocated options
+     */
+    calculateOptionPool() {
+        const sumOptions = status => this.optionGrants
+            .filter(grant => grant.status === status)
+            .reduce((total, grant) => total + grant.options, 0);
+        
+        this.grantedOptionShares = sumOptions('outstanding');
+        this.exercisedOptionShares = sumOptions('exercised');
+        this.availableOptionShares = this.optionPoolShares - this.grantedOptionShares - this.exercisedOptionShares;
+        
+        if (this.availableOptionShares < 0) {
+            throw new CalculationError(
+                'option_pool',
+                `Option grants of ${this.grantedOptionShares + this.exercisedOptionShares} exceed the option pool of ${this.optionPoolShares} at ${this.stage}`,
+                { stage: this.stage, optionPoolShares: this.optionPoolShares }
+            );
+        }
+    }
+
+    /**
+     * Build the share classes outstanding at this stage
+     * Common holds founder and exercised option shares; each round's preferred class follows,
+     * then shares under warrants grouped by the class they are exercisable into
+     */
+    calculateShareClasses() {
+        // Common shares bought from founders on secondary stay in the common class
+        const commonEntries = this.liquidationStack.filter(entry => entry.common);
+        const preferredEntries = this.liquidationStack.filter(entry => !entry.common);
+        const seniorities = [...new Set(preferredEntries.map(entry => entry.seniority))].sort((a, b) => b - a);
+        
+        // Secondary sales split a class across several stack entries; show each class once
+        const preferredClasses = new Map();
+        preferredEntries.forEach(entry => {
+            const shareClass = preferredClasses.get(entry.shareClass);
+            if (shareClass) {
+                shareClass.shares += entry.shares;
+                return;
+            }
+            preferredClasses.set(entry.shareClass, {
+                name: entry.shareClass,
+                type: 'preferred',
+                round: entry.round,
+                // 1 for the classes paid first at exit
+                paymentOrder: seniorities.indexOf(entry.seniority) + 1,
+                shares: entry.shares,
+                issuePrice: entry.issuePrice,
+                conversionPrice: entry.conversionPrice
+            });
+        });
+        
+        this.shareClasses = [
+            {
+                name: 'Common',
+                type: 'common',
+                shares: this.founderShares + this.exercisedOptionShares +
+                    commonEntries.reduce((total, entry) => total + entry.shares, 0),
+                issuePrice: null,
+                conversionPrice: null
+            },
+            {
+                name: 'Options (ESOP)',
+                type: 'options',
+                shares: this.optionPoolShares - this.exercisedOptionShares,
+                issuePrice: null,
+                conversionPrice: null
+            },
+            ...preferredClasses.values(),
+            ...[...new Set(this.warrants.map(warrant => warrant.shareClass))].map(shareClass => ({
+                name: `${shareClass} Warrants`,
+                type: 'warrant',
+                shares: this.warrants
+                    .filter(warrant => warrant.shareClass === shareClass)
+                    .reduce((total, warrant) => total + warrant.shares, 0),
+                issuePrice: null,
+                conversionPrice: null
+            }))
+        ];
+        
+        this.impliedValuation = this.pricePerShare * this.totalShares;
+    }
+
     /**
      * Calculate ownership percentages
      */
@@ -219,16 +893,40 @@ class CapTableStage {
         if (this.totalShares === 0) return;
         
         this.founderOwnership = NumberUtils.calculatePercentage(this.founderShares, this.totalShares);
+        this.vestedFounderOwnership = NumberUtils.calculatePercentage(this.vestedFounderShares, this.totalShares);
         this.optionPoolOwnership = NumberUtils.calculatePercentage(this.optionPoolShares, this.totalShares);
+        this.grantedOptionOwnership = NumberUtils.calculatePercentage(
+            this.grantedOptionShares + this.exercisedOptionShares,
+            this.totalShares
+        );
+        this.availableOptionOwnership = NumberUtils.calculatePercentage(this.availableOptionShares, this.totalShares);
+        this.warrantOwnership = NumberUtils.calculatePercentage(this.warrantShares, this.totalShares);
         this.investorOwnership = NumberUtils.calculatePercentage(this.investorShares, this.totalShares);
         this.newInvestorOwnership = NumberUtils.calculatePercentage(this.newInvestorShares, this.totalShares);
+        
+        this.founderHoldings.forEach(holding => {
+            holding.ownership = NumberUtils.calculatePercentage(holding.shares, this.totalShares);
+        });
+        
+        this.investorHoldings.forEach(holding => {
+            holding.ownership = NumberUtils.calculatePercentage(holding.shares, this.totalShares);
+        });
+        
+        this.shareClasses.forEach(shareClass => {
+            shareClass.ownership = NumberUtils.calculatePercentage(shareClass.shares, this.totalShares);
+        });
     }
 
     /**
      * Validate ownership adds up to 100%
      */
     validateOwnership() {
-        const total = this.founderOwnership + this.optionPoolOwnership + this.investorOwnership;
+        // Sum the holdings before rounding, as each rounded percentage can be out by 0.05
+        const total = NumberUtils.calculatePercentage(
+            this.founderShares + this.optionPoolShares + this.warrantShares + this.investorShares,
+            this.totalShares,
+            2
+        );
         const tolerance = 0.1; // Allow small rounding errors
         
         if (Math.abs(total - 100) > tolerance) {
@@ -238,6 +936,7 @@ class CapTableStage {
                 { stage: this.stage, total, breakdown: {
                     founders: this.founderOwnership,
                     esop: this.optionPoolOwnership,
+                    warrants: this.warrantOwnership,
                     investors: this.investorOwnership
                 }}
             );
@@ -255,20 +954,58 @@ class CapTableStage {
             year: this.year,
             totalShares: this.totalShares,
             founderShares: this.founderShares,
+            founderHoldings: this.founderHoldings.map(holding => ({
+                ...holding,
+                vesting: holding.vesting ? holding.vesting.toObject() : null
+            })),
+            vestedFounderShares: this.vestedFounderShares,
+            unvestedFounderShares: this.unvestedFounderShares,
             optionPoolShares: this.optionPoolShares,
+            optionGrants: this.optionGrants.map(grant => ({
+                ...grant,
+                vesting: grant.vesting ? grant.vesting.toObject() : null
+            })),
+            grantedOptionShares: this.grantedOptionShares,
+            exercisedOptionShares: this.exercisedOptionShares,
+            availableOptionShares: this.availableOptionShares,
+            vestedOptionShares: this.vestedOptionShares,
+            warrants: this.warrants,
+            warrantShares: this.warrantShares,
             investorShares: this.investorShares,
             newInvestorShares: this.newInvestorShares,
+            antiDilutionShares: this.antiDilutionShares,
+            antiDilutionAdjustments: this.antiDilutionAdjustments,
+            conversionShares: this.conversionShares,
+            conversions: this.conversions,
+            pendingConversions: this.pendingConversions,
+            optionPoolTopUpShares: this.optionPoolTopUpShares,
+            optionPoolTiming: this.optionPoolTiming,
+            poolShuffleDilution: this.poolShuffleDilution,
             founderOwnership: this.founderOwnership,
+            vestedFounderOwnership: this.vestedFounderOwnership,
             optionPoolOwnership: this.optionPoolOwnership,
+            grantedOptionOwnership: this.grantedOptionOwnership,
+            availableOptionOwnership: this.availableOptionOwnership,
+            warrantOwnership: this.warrantOwnership,
             investorOwnership: this.investorOwnership,
             newInvestorOwnership: this.newInvestorOwnership,
             preMoneyValuation: this.preMoneyValuation,
             postMoneyValuation: this.postMoneyValuation,
+            effectivePreMoneyValuation: this.effectivePreMoneyValuation,
             investment: this.investment,
             revenue: this.revenue,
             revenueMultiple: this.revenueMultiple,
             liquidationStack: this.liquidationStack,
-            round: this.round ? this.round.toObject() : null
+            investorHoldings: this.investorHoldings,
+            proRataParticipation: this.proRataParticipation,
+            proRataInvestment: this.proRataInvestment,
+            secondaryTransfers: this.secondaryTransfers,
+            retirements: this.retirements,
+            pricePerShare: this.pricePerShare,
+            shareClasses: this.shareClasses,
+            impliedValuation: this.impliedValuation,
+            round: this.round ? this.round.toObject() : null,
+            event: this.event ? this.event.toObject() : null
         };
     }
 }
@@ -281,13 +1018,23 @@ class ReturnsAnalysis {
         this.exitValuation = data.exitValuation || 0;
         this.exitYear = data.exitYear || DateUtils.getCurrentYear();
         this.founderReturn = data.founderReturn || 0;
+        this.founderReturns = data.founderReturns || [];
+        this.optionGrantReturns = data.optionGrantReturns || [];
+        this.warrantReturns = data.warrantReturns || [];
+        this.warrantReturn = data.warrantReturn || 0;
         this.esopReturn = data.esopReturn || 0;
         this.totalInvestorReturn = data.totalInvestorReturn || 0;
         this.roundReturns = data.roundReturns || [];
+        this.investorReturns = data.investorReturns || [];
+        this.secondaryTransfers = data.secondaryTransfers || [];
+        this.retirements = data.retirements || [];
         this.liquidationWaterfall = data.liquidationWaterfall || [];
+        this.conversionBreakpoints = data.conversionBreakpoints || [];
+        this.revenueMetrics = data.revenueMetrics || null;
         this.finalOwnership = data.finalOwnership || {
             founders: 0,
             esop: 0,
+            warrants: 0,
             investors: 0
         };
     }
@@ -307,18 +1054,10 @@ class ReturnsAnalysis {
     }
 
     /**
-     * Get weighted average IRR
+     * Get the IRR of every round's cash flows pooled together
      */
-    getWeightedAverageIRR() {
-        const totalInvestment = this.getTotalInvestment();
-        if (totalInvestment === 0) return 0;
-        
-        const weightedIRR = this.roundReturns.reduce((total, round) => {
-            const weight = round.investment / totalInvestment;
-            return total + (round.irr * weight);
-        }, 0);
-        
-        return weightedIRR;
+    getPooledIRR() {
+        return NumberUtils.calculateXIRRByMonth(this.roundReturns.flatMap(round => round.cashFlows));
     }
 
     /**
@@ -329,10 +1068,19 @@ class ReturnsAnalysis {
             exitValuation: this.exitValuation,
             exitYear: this.exitYear,
             founderReturn: this.founderReturn,
+            founderReturns: this.founderReturns,
+            optionGrantReturns: this.optionGrantReturns,
+            warrantReturns: this.warrantReturns,
+            warrantReturn: this.warrantReturn,
             esopReturn: this.esopReturn,
             totalInvestorReturn: this.totalInvestorReturn,
             roundReturns: this.roundReturns,
+            investorReturns: this.investorReturns,
+            secondaryTransfers: this.secondaryTransfers,
+            retirements: this.retirements,
             liquidationWaterfall: this.liquidationWaterfall,
+            conversionBreakpoints: this.conversionBreakpoints,
+            revenueMetrics: this.revenueMetrics,
             finalOwnership: this.finalOwnership
         };
     }
@@ -340,6 +1088,9 @@ class ReturnsAnalysis {
 
 // Make models globally available
 window.FundingRound = FundingRound;
+window.VestingSchedule = VestingSchedule;
+window.ShareEvent = ShareEvent;
+window.ExitDistribution = ExitDistribution;
 window.Company = Company;
 window.CapTableStage = CapTableStage;
 window.ReturnsAnalysis = ReturnsAnalysis;
\ No newline at end of file
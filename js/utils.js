@@ -17,6 +17,18 @@ class DOMUtils {
         return element;
     }
 
+    /**
+     * Escape text typed by the user, such as names, before it goes into HTML
+     */
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * Safely get element value
      */
@@ -162,6 +174,13 @@ class NumberUtils {
         return num;
     }
 
+    /**
+     * Format an IRR as a percentage, or n/a when it could not be found
+     */
+    static formatIRR(irr) {
+        return irr === null ? 'n/a' : `${irr.toFixed(1)}%`;
+    }
+
     /**
      * Calculate percentage
      */
@@ -171,15 +190,92 @@ class NumberUtils {
     }
 
     /**
-     * Calculate IRR (Internal Rate of Return)
+     * Calculate a percentile of values sorted in ascending order, interpolating between ranks
+     */
+    static calculatePercentile(sortedValues, percentile) {
+        if (sortedValues.length === 0) return 0;
+        
+        const rank = (sortedValues.length - 1) * percentile / 100;
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+    }
+
+    /**
+     * Calculate IRR over cash flows dated to the month (XIRR by month)
+     * Cash flows are { date, amount } with 'YYYY-MM' dates, investments negative and proceeds positive.
+     * Rounds, tranches and exits are only dated to the month, so each flow is discounted over
+     * whole months from the earliest flow rather than days.
+     * Returns null when no rate in range sets the net present value to zero.
      */
-    static calculateIRR(investment, returnAmount, years) {
-        if (years <= 0 || investment <= 0) return 0;
+    static calculateXIRRByMonth(cashFlows) {
+        const invested = cashFlows.some(flow => flow.amount < 0);
+        const returned = cashFlows.some(flow => flow.amount > 0);
+        if (!invested) return 0;
+        if (!returned) return -100;
+        
+        const startDate = cashFlows.reduce(
+            (earliest, flow) => DateUtils.monthsBetween(earliest, flow.date) < 0 ? flow.date : earliest,
+            cashFlows[0].date
+        );
+        const flows = cashFlows.map(flow => ({
+            amount: flow.amount,
+            years: DateUtils.monthsBetween(startDate, flow.date) / 12
+        }));
+        if (flows.every(flow => flow.years === 0)) return 0;
         
-        const multiple = returnAmount / investment;
-        if (multiple <= 0) return -100;
+        const npv = rate => flows.reduce(
+            (total, flow) => total + flow.amount / Math.pow(1 + rate, flow.years),
+            0
+        );
         
-        return (Math.pow(multiple, 1 / years) - 1) * 100;
+        // Bisection, widening the upper rate for returns that come back many times over in a short time
+        let low = CONFIG.IRR.MIN_RATE;
+        let high = CONFIG.IRR.MAX_RATE;
+        while (npv(low) * npv(high) > 0 && high < CONFIG.IRR.MAX_WIDENED_RATE) {
+            high *= 10;
+        }
+        if (npv(low) * npv(high) > 0) return null;
+        
+        const lowPositive = npv(low) > 0;
+        for (let i = 0; i < CONFIG.IRR.MAX_ITERATIONS; i++) {
+            const mid = (low + high) / 2;
+            if ((npv(mid) > 0) === lowPositive) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        
+        const rate = (low + high) / 2;
+        return Math.abs(rate) < 1e-9 ? 0 : rate * 100;
+    }
+}
+
+/**
+ * Seeded random number utilities, so simulations can be reproduced
+ */
+class RandomUtils {
+    /**
+     * Create a generator of numbers in [0, 1) from an integer seed (mulberry32)
+     */
+    static createGenerator(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = Math.imul(state ^ (state >>> 15), state | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Draw from a standard normal distribution (Box-Muller)
+     */
+    static normal(random) {
+        const u = 1 - random();
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
     }
 }
 
@@ -208,6 +304,31 @@ class DateUtils {
     static yearsBetween(startYear, endYear) {
         return Math.max(0, endYear - startYear);
     }
+
+    /**
+     * Format a year and month (1-12) as a 'YYYY-MM' date
+     */
+    static formatMonth(year, month = 1) {
+        return `${year}-${String(month).padStart(2, '0')}`;
+    }
+
+    /**
+     * Add a number of months to a 'YYYY-MM' date
+     */
+    static addMonths(date, months) {
+        const [year, month] = date.split('-').map(Number);
+        const index = year * 12 + (month - 1) + months;
+        return this.formatMonth(Math.floor(index / 12), (index % 12) + 1);
+    }
+
+    /**
+     * Calculate whole months between two 'YYYY-MM' dates
+     */
+    static monthsBetween(startDate, endDate) {
+        const [startYear, startMonth] = startDate.split('-').map(Number);
+        const [endYear, endMonth] = endDate.split('-').map(Number);
+        return (endYear - startYear) * 12 + (endMonth - startMonth);
+    }
 }
 
 /**
@@ -376,7 +497,7 @@ class UIUtils {
         alertDiv.setAttribute('role', 'alert');
         
         alertDiv.innerHTML = `
-            ${message}
+            ${DOMUtils.escapeHtml(message)}
             ${dismissible ? '<button type="button" class="btn-close" data-bs-dismiss="alert"></button>' : ''}
         `;
         
@@ -446,6 +567,7 @@ class StorageUtils {
 // Make utilities globally available
 window.DOMUtils = DOMUtils;
 window.NumberUtils = NumberUtils;
+window.RandomUtils = RandomUtils;
 window.DateUtils = DateUtils;
 window.DataUtils = DataUtils;
 window.UIUtils = UIUtils;